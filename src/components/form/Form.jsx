@@ -8,12 +8,15 @@ import FormSubmitButton from './helpers/FormSubmitButton';
 import ValidationAPIError from './validation/ValidationAPIError';
 import FormSection from './FormSection';
 import FormTitle from './helpers/FormTitle';
+import FormConditionTrace from './helpers/FormConditionTrace';
 import { Flex } from '../common';
+import { EVENT, VALIDATION_CONST } from '../../form/config/form-const';
 
 class Form extends React.Component {
     constructor(props) {
         super(props);
         this.onUpdate = this.onUpdate.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
         this._renderSectionTabPane = this._renderSectionTabPane.bind(this);
     }
 
@@ -21,6 +24,14 @@ class Form extends React.Component {
         const { instance } = this.props;
         if (instance.isValid()) {
             instance.validate();
+            // Re-render when validation results change, e.g. asynchronous validators complete
+            this.unsubscribe = instance.on(EVENT.VALIDATE, () => this.forceUpdate());
+        }
+    }
+
+    componentWillUnmount() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
         }
     }
 
@@ -32,7 +43,7 @@ class Form extends React.Component {
         }
         // Invalid definition
         if (!instance.isValid()) {
-            return <ValidationAPIError error={instance.error} />;
+            return <ValidationAPIError error={instance.error} problems={instance.getProblems()} />;
         }
         // No sections
         if (instance.getSections().isEmpty()) {
@@ -48,9 +59,11 @@ class Form extends React.Component {
                 flexShrink={0}
                 border="1px solid #dbdbdb"
                 overflow="auto"
+                onKeyDown={this.onKeyDown}
             >
                 {this._renderFormTitle(instance)}
                 {this._renderForm(instance.getSections())}
+                {this.props.showConditionTrace ? <FormConditionTrace instance={instance} /> : null}
             </Flex>
         );
     }
@@ -63,7 +76,7 @@ class Form extends React.Component {
                     iconPrefix={instance.getFormIconPrefix()}
                     icon={instance.getFormIcon()}
                     label={instance.getFormTitle()}
-                    controlsRight={this._renderSubmitButton()}
+                    controlsRight={this._renderButtons()}
                 />
             );
         }
@@ -103,7 +116,7 @@ class Form extends React.Component {
                 onUpdate={this.onUpdate}
                 hideTitle={this.props.hideSectionTitles}
                 hideSubtitle={this.props.hideSubsectionTitles}
-                submitButton={this.props.hideTitle ? this._renderSubmitButton() : null}
+                submitButton={this.props.hideTitle ? this._renderButtons() : null}
             />
         );
     }
@@ -120,20 +133,102 @@ class Form extends React.Component {
         return label;
     }
 
-    _renderSubmitButton() {
-        return <FormSubmitButton onSubmit={this.props.onSubmit} label={this.props.submitButtonLabel} />;
+    /**
+     * Render a button per action, defaulting to a single submit button.
+     * Buttons without a handler (e.g. submit, without onSubmit) aren't rendered.
+     * @returns {*}
+     */
+    _renderButtons() {
+        const buttons = this.props.buttons || [
+            {
+                action: VALIDATION_CONST.ACTION.SUBMIT,
+                label: this.props.submitButtonLabel,
+                onClick: this.props.onSubmit
+            }
+        ];
+        return (
+            <div className="buttons">
+                {buttons
+                    .filter(button => button.onClick)
+                    .map(button => (
+                        <FormSubmitButton
+                            key={button.action}
+                            label={button.label}
+                            className={button.className}
+                            onSubmit={event => this.onAction(button.action, button.onClick, event)}
+                        />
+                    ))}
+            </div>
+        );
+    }
+
+    /**
+     * Validate every field, waiting for asynchronous validators, and perform the
+     * action unless errors block it. Warnings do not block actions.
+     * @param action See VALIDATION_CONST.ACTION
+     * @param onClick Invoked with the click event and the validation results
+     * @param event
+     */
+    onAction(action, onClick, event) {
+        const { instance } = this.props;
+        // The event outlives the handler, so take it out of React's event pool
+        event.persist();
+        return instance
+            .validateAsync({ all: true })
+            .then(validationResults => {
+                if (validationResults.canPerform(action)) {
+                    onClick(event, validationResults);
+                }
+            })
+            .catch(error => {
+                console.error(`Unable to perform action "${action}": ${error && error.message}`);
+            });
     }
 
     onUpdate(event, id) {
-        const { instance, onUpdate } = this.props;
+        const { instance } = this.props;
 
         id = id || event.target.id;
         const field = instance.getField(id);
 
+        // Ignore updates to disabled and read-only fields
+        if (!instance.isFieldEditable(field)) return;
+
         const value = field.actions.onUpdate(event, field, instance.getModelValue(id));
 
         instance.setModelValue(id, value, field); // Set model value
 
+        this._afterUpdate(id, value);
+    }
+
+    /**
+     * Undo (Ctrl+Z) or redo (Ctrl+Shift+Z) model updates. Without model history
+     * to undo or redo, the native input undo is left alone.
+     * @param event
+     */
+    onKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || (event.key || '').toLowerCase() !== 'z') {
+            return;
+        }
+
+        const { instance } = this.props;
+        if (!(event.shiftKey ? instance.canRedo() : instance.canUndo())) {
+            return;
+        }
+
+        // Prevent native input undo from diverging from the model
+        event.preventDefault();
+
+        const changes = event.shiftKey ? instance.redo() : instance.undo();
+        if (changes) {
+            const { id } = changes[0];
+            this._afterUpdate(id, instance.getModelValue(id));
+        }
+    }
+
+    _afterUpdate(id, value) {
+        const { instance, onUpdate } = this.props;
+
         if (instance.isLiveValidation()) {
             instance.validate(); // Validate the form
         }
@@ -152,8 +247,17 @@ Form.propTypes = {
     hideTitle: PropTypes.bool,
     hideSectionTitles: PropTypes.bool,
     hideSubsectionTitles: PropTypes.bool,
+    showConditionTrace: PropTypes.bool,
+    buttons: PropTypes.arrayOf(
+        PropTypes.shape({
+            action: PropTypes.string.isRequired,
+            label: PropTypes.string,
+            className: PropTypes.string,
+            onClick: PropTypes.func.isRequired
+        })
+    ),
     width: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
-    onSubmit: PropTypes.func.isRequired,
+    onSubmit: PropTypes.func,
     onUpdate: PropTypes.func
 };
 
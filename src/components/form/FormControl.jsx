@@ -7,6 +7,7 @@ import _isEqual from 'lodash/isEqual';
 import FormItemTitle from './helpers/FormItemTitle';
 import FormItemHint from './helpers/FormItemHint';
 import ValidationFieldError from './validation/ValidationFieldError';
+import { DATA_TYPE } from '../../form/config/form-const';
 
 class FormControl extends React.Component {
     /**
@@ -18,12 +19,19 @@ class FormControl extends React.Component {
      * a performance issue, we could potentially before a deep comparison
      * between the prop trees, but that seems excessive right now.
      *
+     * Since the instance is mutated rather than replaced, the validation
+     * state of the field (and whether it is required, disabled or read-only)
+     * is also compared against the last render.
+     *
      * @param nextProps
      * @returns {boolean} true if the component should call render()
      */
     shouldComponentUpdate(nextProps) {
         if (!this._hasFieldChildren(nextProps.field)) {
-            return !_isEqual(nextProps, this.props);
+            return (
+                !_isEqual(nextProps, this.props) ||
+                !_isEqual(this._getFieldState(nextProps), this.fieldState)
+            );
         }
         return true;
     }
@@ -40,10 +48,12 @@ class FormControl extends React.Component {
         // Assign to uppercase for the JSX compiler
         const Control = component.element;
 
+        this.fieldState = this._getFieldState(this.props);
+
         return (
             <span>
                 <FormItemTitle field={field} decorators={uiDecorators} instance={instance} />
-                <div className="control">
+                <div className={`control ${this.fieldState.pending ? 'is-loading' : ''}`}>
                     <Control
                         id={id}
                         value={value}
@@ -51,6 +61,8 @@ class FormControl extends React.Component {
                         uiDecorators={uiDecorators}
                         onUpdate={onUpdate}
                         instance={instance}
+                        disabled={this.fieldState.disabled}
+                        readOnly={this.fieldState.readOnly}
                     />
                 </div>
                 {this._maybeRenderHint(uiDecorators)}
@@ -68,12 +80,25 @@ class FormControl extends React.Component {
         }
     }
 
+    _getFieldState({ id, field, instance }) {
+        return {
+            status: instance.getValidationStatusByTag(id, true),
+            pending: instance.isFieldPending(id),
+            required: instance.isFieldRequired(field),
+            disabled: instance.isFieldDisabled(field),
+            readOnly: instance.isFieldReadOnly(field)
+        };
+    }
+
     /**
-     * Check for child fields, or option fields with children
+     * Check for child fields, option fields with children, or repeatable group rows
      * @param field
      * @returns {boolean}
      */
     _hasFieldChildren(field) {
+        if (field.type === DATA_TYPE.GROUP) {
+            return true;
+        }
         if (!_isEmpty(field.fields)) {
             return true;
         }
@@ -59,7 +59,7 @@ class FormSubsection extends React.Component {
     }
 
     _maybeRenderValidationMessages(subsection, instance) {
-        if (instance.subsectionHasError(subsection)) {
+        if (instance.subsectionHasError(subsection) || instance.subsectionHasWarning(subsection)) {
             return (
                 <div className="panel-block">
                     <ValidationResults instance={instance} subsection={subsection} />
@@ -3,17 +3,22 @@ import PropTypes from 'prop-types';
 
 import { Icon } from '../../common';
 
-const Checkbox = ({ id, field, option, value, onUpdate }) => {
-  const icon = `${value ? 'check-' : ''}square`;
-  return (
-    <div id={id} className="control">
-      <div className="checkbox" onClick={() => onUpdate(!value, id)}>
-        <Icon prefix="far" icon={icon} />&nbsp;
-        <span>{_getTitle(option, field)}</span>
-      </div>
-    </div>
-  )
-}
+const Checkbox = ({ id, field, option, value, onUpdate, disabled, readOnly }) => {
+    const icon = `${value ? 'check-' : ''}square`;
+    const isLocked = disabled || readOnly;
+    return (
+        <div id={id} className="control">
+            <div
+                className="checkbox"
+                disabled={disabled}
+                onClick={() => !isLocked && onUpdate(!value, id)}
+            >
+                <Icon prefix="far" icon={icon} />&nbsp;
+                <span>{_getTitle(option, field)}</span>
+            </div>
+        </div>
+    );
+};
 
 function _getTitle(option, field) {
     if (option) return option.title;
@@ -25,7 +30,9 @@ Checkbox.propTypes = {
     field: PropTypes.object,
     option: PropTypes.object,
     value: PropTypes.bool,
-    onUpdate: PropTypes.func.isRequired
+    onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool
 };
 
 export default Checkbox;
@@ -6,20 +6,32 @@ import Checkbox from './Checkbox';
 import ValidationFieldError from '../validation/ValidationFieldError';
 import FormChildren from '../FormChildren';
 import { Flex } from '../../common';
+import { __hasValue } from '../../../common';
 
-const CheckboxGroup = ({ id, field, value, instance, onUpdate }) => {
+const CheckboxGroup = ({ id, field, value, instance, onUpdate, disabled, readOnly }) => {
     if (_isEmpty(field.options)) {
         __logError(id, field);
         return <ValidationFieldError id={id} />;
     }
     return (
         <Flex column={true} style={{ marginBottom: '0.5rem' }}>
-            {field.options.map(_renderOption.bind(this, id, value, instance, onUpdate))}
+            {field.options.map(
+                _renderOption.bind(
+                    this,
+                    id,
+                    value,
+                    instance,
+                    onUpdate,
+                    disabled,
+                    readOnly,
+                    __isFull(field, value)
+                )
+            )}
         </Flex>
     );
 };
 
-const _renderOption = (id, value, instance, onUpdate, option, index) => {
+const _renderOption = (id, value, instance, onUpdate, disabled, readOnly, isFull, option, index) => {
     return (
         <Flex column={true} key={index} style={index > 0 ? { marginTop: '0.25rem' } : {}}>
             <Checkbox
@@ -27,6 +39,8 @@ const _renderOption = (id, value, instance, onUpdate, option, index) => {
                 option={option}
                 onUpdate={() => onUpdate(option.id, id)}
                 value={_isChecked(value, option.id)}
+                disabled={disabled || (isFull && !_isChecked(value, option.id))}
+                readOnly={readOnly}
             />
             <FormChildren field={option} onUpdate={onUpdate} instance={instance} />
         </Flex>
@@ -38,6 +52,9 @@ const _isChecked = (value, id) => {
     return value.includes(id);
 };
 
+// Once maxItems options are checked, the others can't be
+const __isFull = (field, value) => __hasValue(field.maxItems) && (value || []).length >= field.maxItems;
+
 const __logError = (id, field) => {
     console.error(`Field of type "${field.type}" is missing required "options" array (id: ${id})`);
 };
@@ -47,6 +64,8 @@ CheckboxGroup.propTypes = {
     field: PropTypes.object.isRequired,
     value: PropTypes.array,
     onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
     instance: PropTypes.object.isRequired
 };
 
@@ -15,7 +15,7 @@ class DateTime extends React.Component {
     }
 
     render() {
-        const { id, value, field } = this.props;
+        const { id, value, field, disabled, readOnly, instance } = this.props;
         const decorators = Maybe.of(field).prop('uiDecorators');
 
         let props = {};
@@ -32,7 +32,18 @@ class DateTime extends React.Component {
             }
         }
 
-        return <DatePicker id={id} selected={value} onChange={this.onUpdate} {...props} />;
+        return (
+            <DatePicker
+                id={id}
+                selected={value}
+                onChange={this.onUpdate}
+                minDate={instance.getMinDate(field)}
+                maxDate={instance.getMaxDate(field)}
+                disabled={disabled}
+                readOnly={readOnly}
+                {...props}
+            />
+        );
     }
 }
 
@@ -48,7 +59,10 @@ DateTime.propTypes = {
     id: PropTypes.string.isRequired,
     field: PropTypes.object.isRequired,
     onUpdate: PropTypes.func.isRequired,
-    value: PropTypes.object
+    value: PropTypes.object,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
+    instance: PropTypes.object.isRequired
 };
 
 export default DateTime;
@@ -0,0 +1,109 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import FormField from '../FormField';
+import { Flex, Icon } from '../../common';
+import { __hasValue } from '../../../common';
+
+/**
+ * Repeatable group of fields. The model value is the list of row keys;
+ * adding, removing and reordering rows updates the list, and the
+ * instance instantiates (or removes) the fields of each row.
+ */
+const Group = ({ id, field, value, instance, onUpdate, disabled, readOnly }) => {
+    const keys = value || [];
+    const isLocked = disabled || readOnly;
+    const canAdd = !isLocked && (!__hasValue(field.maxItems) || keys.length < field.maxItems);
+    const canRemove = !isLocked && (!__hasValue(field.minItems) || keys.length > field.minItems);
+    return (
+        <Flex column={true} style={{ marginBottom: '0.5rem' }}>
+            {instance
+                .getGroupRows(field)
+                .map(_renderRow.bind(this, id, keys, instance, onUpdate, isLocked, canRemove))}
+            <div>
+                <button
+                    type="button"
+                    className="button is-small"
+                    disabled={!canAdd}
+                    onClick={() => onUpdate([...keys, instance.createGroupRowKey()], id)}
+                >
+                    <Icon icon="plus" /> <span>Add</span>
+                </button>
+            </div>
+        </Flex>
+    );
+};
+
+const _renderRow = (id, keys, instance, onUpdate, isLocked, canRemove, row, index) => {
+    return (
+        <Flex column={true} key={row.key} className="box" style={{ marginBottom: '0.5rem' }}>
+            <Flex justifyContent="space-between" alignItems="center">
+                <strong>#{index + 1}</strong>
+                <div className="buttons has-addons">
+                    <button
+                        type="button"
+                        title="Move up"
+                        className="button is-small"
+                        disabled={isLocked || index === 0}
+                        onClick={() => onUpdate(_move(keys, index, index - 1), id)}
+                    >
+                        <Icon icon="arrow-up" />
+                    </button>
+                    <button
+                        type="button"
+                        title="Move down"
+                        className="button is-small"
+                        disabled={isLocked || index === keys.length - 1}
+                        onClick={() => onUpdate(_move(keys, index, index + 1), id)}
+                    >
+                        <Icon icon="arrow-down" />
+                    </button>
+                    <button
+                        type="button"
+                        title="Remove"
+                        className="button is-small"
+                        disabled={!canRemove}
+                        onClick={() => onUpdate(keys.filter(key => key !== row.key), id)}
+                    >
+                        <Icon icon="times" />
+                    </button>
+                </div>
+            </Flex>
+            {row.fields.map(_renderField.bind(this, instance, onUpdate))}
+        </Flex>
+    );
+};
+
+const _renderField = (instance, onUpdate, field) => {
+    if (instance.evaluateFieldShowCondition(field)) {
+        return (
+            <div key={field.id} style={{ marginTop: 10 }}>
+                <FormField
+                    id={field.id}
+                    field={field}
+                    value={instance.getModelValue(field.id)}
+                    instance={instance}
+                    onUpdate={onUpdate}
+                />
+            </div>
+        );
+    }
+};
+
+const _move = (keys, from, to) => {
+    const moved = [...keys];
+    moved.splice(to, 0, moved.splice(from, 1)[0]);
+    return moved;
+};
+
+Group.propTypes = {
+    id: PropTypes.string.isRequired,
+    field: PropTypes.object.isRequired,
+    value: PropTypes.array,
+    onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
+    instance: PropTypes.object.isRequired
+};
+
+export default Group;
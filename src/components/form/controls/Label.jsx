@@ -0,0 +1,31 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import { __hasValue } from '../../../common';
+
+/**
+ * Read-only display of a model value, such as the
+ * result of a calculated field (e.g. SUM)
+ */
+const Label = ({ id, field, value }) => {
+    return (
+        <input
+            name={id}
+            id={id}
+            className="input is-static"
+            type="text"
+            value={__hasValue(value) && !Number.isNaN(value) ? value : ''}
+            placeholder={field.placeholder}
+            readOnly
+        />
+    );
+};
+
+Label.propTypes = {
+    id: PropTypes.string.isRequired,
+    field: PropTypes.object.isRequired,
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    instance: PropTypes.object.isRequired
+};
+
+export default Label;
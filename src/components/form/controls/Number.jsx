@@ -1,7 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
-const Number = ({ id, field, value, onUpdate }) => {
+const Number = ({ id, field, value, onUpdate, disabled, readOnly }) => {
     return (
         <input
             className="input"
@@ -13,6 +13,8 @@ const Number = ({ id, field, value, onUpdate }) => {
             min={field.min}
             onChange={onUpdate}
             placeholder={field.placeholder}
+            disabled={disabled}
+            readOnly={readOnly}
         />
     );
 };
@@ -22,6 +24,8 @@ Number.propTypes = {
     field: PropTypes.object.isRequired,
     value: PropTypes.number,
     onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
     instance: PropTypes.object.isRequired
 };
 
@@ -5,23 +5,25 @@ import FormChildren from '../FormChildren';
 import { Icon, Flex } from '../../common';
 import { __hasValue } from '../../../common';
 
-const Radio = ({ id, value, field, instance, onUpdate }) => {
+const Radio = ({ id, value, field, instance, onUpdate, disabled, readOnly }) => {
     if (!field.options) {
         console.warn(`${field.type} is missing required "options" (id: ${id})`);
         return <span />;
     }
     return (
         <Flex column={!field.inline} id={id}>
-            {_renderOptions(field, value, instance, onUpdate)}
+            {_renderOptions(field, value, instance, onUpdate, disabled, disabled || readOnly)}
         </Flex>
     );
 };
 
-const _renderOptions = (field, value, instance, onUpdate) => {
-    return field.options.map(_renderOption.bind(null, field, value, instance, onUpdate));
+const _renderOptions = (field, value, instance, onUpdate, disabled, isLocked) => {
+    return field.options.map(
+        _renderOption.bind(null, field, value, instance, onUpdate, disabled, isLocked)
+    );
 };
 
-const _renderOption = (field, value, instance, onUpdate, option, index) => {
+const _renderOption = (field, value, instance, onUpdate, disabled, isLocked, option, index) => {
     const isEven = index % 2 === 0;
     return (
         <Flex
@@ -31,9 +33,10 @@ const _renderOption = (field, value, instance, onUpdate, option, index) => {
             vAlignCenter
         >
             <Flex
-                cursor="pointer"
+                cursor={isLocked ? 'not-allowed' : 'pointer'}
                 vAlignCenter={true}
-                onClick={_handleOnClick.bind(null, field, option, onUpdate, isEven)}
+                className={disabled ? 'has-text-grey-light' : ''}
+                onClick={isLocked ? null : _handleOnClick.bind(null, field, option, onUpdate, isEven)}
             >
                 {_renderOptionIcon(option, value, isEven)}&nbsp;
                 <div>{option.title}</div>
@@ -66,6 +69,8 @@ Radio.propTypes = {
     field: PropTypes.object.isRequired,
     value: PropTypes.oneOfType([PropTypes.string, PropTypes.bool]),
     onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
     instance: PropTypes.object.isRequired,
     uiField: PropTypes.object
 };
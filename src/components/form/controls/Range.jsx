@@ -6,7 +6,7 @@ import { Flex } from '../../common';
 
 import { __hasValue } from '../../../common';
 
-const Range = ({ id, field, value, onUpdate }) => {
+const Range = ({ id, field, value, onUpdate, disabled, readOnly }) => {
     if (!__hasValue(field.min) || !__hasValue(field.max)) {
         console.error(
             `Field of type "${field.type}" is missing required "min" and/or "max" (id: ${id})`
@@ -29,6 +29,7 @@ const Range = ({ id, field, value, onUpdate }) => {
                         max={field.max}
                         min={field.min}
                         onChange={onUpdate}
+                        disabled={disabled || readOnly}
                     />
                 </Flex>
                 <MinMaxLabel value={field.max} style={{ marginLeft: '0.25rem' }} />
@@ -52,6 +53,8 @@ Range.propTypes = {
     field: PropTypes.object.isRequired,
     value: PropTypes.number,
     onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
     instance: PropTypes.object.isRequired
 };
 
@@ -1,9 +1,11 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import _includes from 'lodash/includes';
 
 import { DATA_TYPE } from '../../../form/config/form-const';
+import { __hasValue } from '../../../common';
 
-const Select = ({ id, value, field, onUpdate }) => {
+const Select = ({ id, value, field, onUpdate, disabled, readOnly }) => {
     if (!field.options) {
         console.warn(`${field.type} is missing required "options" (id: ${id})`);
         return <span />;
@@ -11,9 +13,16 @@ const Select = ({ id, value, field, onUpdate }) => {
     const isMultiple = __isFieldTypeArray(field);
     return (
         <div className={`select ${isMultiple ? 'is-multiple' : ''}`}>
-            <select value={value} id={id} name={id} onChange={onUpdate} multiple={isMultiple}>
+            <select
+                value={value}
+                id={id}
+                name={id}
+                onChange={onUpdate}
+                multiple={isMultiple}
+                disabled={disabled || readOnly}
+            >
                 {_maybeRenderPlaceholder(field, value)}
-                {_renderOptions(field)}
+                {_renderOptions(field, value)}
             </select>
         </div>
     );
@@ -25,9 +34,14 @@ const _maybeRenderPlaceholder = (field, value) => {
     }
 };
 
-const _renderOptions = field => {
+const _renderOptions = (field, value) => {
+    // Once maxItems values are selected, the others can't be
+    const isFull =
+        __isFieldTypeArray(field) &&
+        __hasValue(field.maxItems) &&
+        (value || []).length >= field.maxItems;
     return field.options.map((option, index) => (
-        <option key={index} value={option.id}>
+        <option key={index} value={option.id} disabled={isFull && !_includes(value, option.id)}>
             {option.title}
         </option>
     ));
@@ -42,6 +56,8 @@ Select.propTypes = {
     field: PropTypes.object.isRequired,
     value: PropTypes.oneOfType([PropTypes.array, PropTypes.string]),
     onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
     instance: PropTypes.object.isRequired,
     uiField: PropTypes.object
 };
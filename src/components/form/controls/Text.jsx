@@ -4,7 +4,7 @@ import Maybe from 'maybe-baby';
 
 const DEFAULT_TYPE = 'text';
 
-const Text = ({ id, field, value, onUpdate, uiDecorators }) => {
+const Text = ({ id, field, value, onUpdate, uiDecorators, disabled, readOnly }) => {
     return (
         <input
             name={id}
@@ -14,6 +14,10 @@ const Text = ({ id, field, value, onUpdate, uiDecorators }) => {
             value={value || ''}
             onChange={onUpdate}
             placeholder={field.placeholder}
+            minLength={field.minLength}
+            maxLength={field.maxLength}
+            disabled={disabled}
+            readOnly={readOnly}
         />
     );
 };
@@ -32,6 +36,8 @@ Text.propTypes = {
     value: PropTypes.string,
     uiDecorators: PropTypes.object,
     onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
     instance: PropTypes.object.isRequired
 };
 
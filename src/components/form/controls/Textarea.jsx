@@ -1,7 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
-const Textarea = ({ id, field, value, onUpdate }) => (
+const Textarea = ({ id, field, value, onUpdate, disabled, readOnly }) => (
     <textarea
         name={id}
         id={id}
@@ -10,6 +10,10 @@ const Textarea = ({ id, field, value, onUpdate }) => (
         value={value || ''}
         onChange={onUpdate}
         placeholder={field.placeholder}
+        minLength={field.minLength}
+        maxLength={field.maxLength}
+        disabled={disabled}
+        readOnly={readOnly}
     />
 );
 
@@ -18,6 +22,8 @@ Textarea.propTypes = {
     field: PropTypes.object.isRequired,
     value: PropTypes.string,
     onUpdate: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    readOnly: PropTypes.bool,
     instance: PropTypes.object.isRequired
 };
 
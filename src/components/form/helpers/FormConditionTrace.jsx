@@ -0,0 +1,86 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+import _castArray from 'lodash/castArray';
+import _flatMap from 'lodash/flatMap';
+import _isObject from 'lodash/isObject';
+import _omit from 'lodash/omit';
+import _values from 'lodash/values';
+
+import { Icon, Flex } from '../../common';
+
+/**
+ * Development overlay that explains why each field with a show
+ * condition is visible or hidden
+ */
+const FormConditionTrace = ({ instance }) => {
+    const fields = instance
+        .getFields()
+        .values()
+        .filter(field => field.showCondition);
+
+    return (
+        <Flex column flexShrink={0} className="message is-info" margin="0.75rem">
+            <div className="message-header">
+                <span>
+                    <Icon icon="bug" />&nbsp;Show Conditions
+                </span>
+            </div>
+            <div className="message-body content is-small">
+                {fields.length ? fields.map(field => __renderField(instance, field)) : <em>None</em>}
+            </div>
+        </Flex>
+    );
+};
+
+const __renderField = (instance, field) => {
+    const explanation = instance.explainCondition(field.id);
+    return (
+        <div key={field.id}>
+            <strong>{field.title}</strong> <code>{field.id}</code>&nbsp;
+            <span className={explanation.result ? 'has-text-success' : 'has-text-danger'}>
+                {explanation.result ? 'Visible' : 'Hidden'}
+            </span>
+            <ul>{__renderNode(explanation, 0)}</ul>
+        </div>
+    );
+};
+
+const __renderNode = (node, key) => {
+    const isCondition = 'result' in node;
+    return (
+        <li key={key}>
+            {isCondition ? (
+                <Icon
+                    icon={node.result ? 'check' : 'times'}
+                    className={node.result ? 'has-text-success' : 'has-text-danger'}
+                />
+            ) : (
+                <Icon icon="angle-right" className="has-text-grey" />
+            )}
+            &nbsp;<code>{node.text || node.type}</code>
+            {isCondition ? null : <span> = {__formatValue(node.value)}</span>}
+            {__renderChildren(node)}
+        </li>
+    );
+};
+
+// Nested conditions and expressions; constants are omitted, since they are evident from the text
+const __renderChildren = node => {
+    const children = _flatMap(_values(_omit(node, ['result', 'value'])), _castArray).filter(
+        child => _isObject(child) && ('result' in child || 'value' in child) && child.type !== 'CONST'
+    );
+    return children.length ? <ul>{children.map(__renderNode)}</ul> : null;
+};
+
+const __formatValue = value => {
+    if (value === undefined) return <em>undefined</em>;
+    if (moment.isMoment(value)) return value.format();
+    return JSON.stringify(value);
+};
+
+FormConditionTrace.propTypes = {
+    instance: PropTypes.object.isRequired
+};
+
+export default FormConditionTrace;
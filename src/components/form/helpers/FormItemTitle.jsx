@@ -2,24 +2,51 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import Maybe from 'maybe-baby';
 
-import { Asterisk } from '../../common';
+import { Asterisk, Icon } from '../../common';
 
 export default function FormItemTitle({ field, decorators, instance }) {
     if (__noTitle(decorators)) return null;
     return (
         <div className="label" htmlFor={field.id}>
-            {field.title}&nbsp;
+            {field.title}
+            {__maybeRenderRequired(field, instance)}&nbsp;
             {__maybeRenderError(field, instance)}
+            {__maybeRenderWarning(field, instance)}
+            {__maybeRenderPending(field, instance)}
         </div>
     );
 }
 
+function __maybeRenderRequired(field, instance) {
+    if (instance.isFieldRequired(field)) {
+        return (
+            <span className="has-text-danger" title="Required">
+                &nbsp;*
+            </span>
+        );
+    }
+}
+
+function __maybeRenderPending(field, instance) {
+    if (instance.isFieldPending(field.id)) {
+        return <Icon icon="spinner" title="Validating..." className="fa-pulse has-text-grey-light" />;
+    }
+}
+
 function __maybeRenderError(field, instance) {
     if (instance.fieldHasError(field.id)) {
         return <Asterisk />;
     }
 }
 
+function __maybeRenderWarning(field, instance) {
+    if (instance.fieldHasWarning(field.id)) {
+        return (
+            <Icon icon="exclamation-triangle" title="Validation Warning" className="has-text-warning" />
+        );
+    }
+}
+
 function __noTitle(decorators) {
     return Maybe.of(decorators)
         .prop('hideControlLabel')
@@ -1,15 +1,16 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
-const FormSubmitButton = ({ onSubmit, label }) => (
-    <button className="button is-link" onClick={onSubmit}>
+const FormSubmitButton = ({ onSubmit, label, className = 'is-link' }) => (
+    <button className={`button ${className}`} onClick={onSubmit}>
         {label || 'Submit'}
     </button>
 );
 
 FormSubmitButton.propTypes = {
     onSubmit: PropTypes.func.isRequired,
-    label: PropTypes.string
+    label: PropTypes.string,
+    className: PropTypes.string
 };
 
 export default FormSubmitButton;
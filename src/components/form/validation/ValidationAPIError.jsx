@@ -5,7 +5,7 @@ import { Icon, Flex } from '../../common';
 
 const regex = /^Error: (.+)$/m;
 
-const ValidationAPIError = ({ error }) => {
+const ValidationAPIError = ({ error, problems }) => {
     let detail = __parseAPICheckErrorMessage(error);
     return (
         <div className="panel">
@@ -15,6 +15,7 @@ const ValidationAPIError = ({ error }) => {
                     {_renderTitle(detail || 'Error initializing FormEngine')}
                 </Flex>
             </div>
+            {problems && problems.length ? _renderProblems(problems) : null}
         </div>
     );
 };
@@ -38,8 +39,29 @@ const _renderTitle = title => {
     );
 };
 
+const _renderProblems = problems => {
+    return (
+        <div className="panel-block">
+            <ul>
+                {problems.map((problem, index) => (
+                    <li key={index}>
+                        <Icon icon="angle-right" />&nbsp;
+                        {problem.path ? <code>{problem.path}</code> : null} {problem.message}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
 ValidationAPIError.propTypes = {
-    error: PropTypes.object.isRequired
+    error: PropTypes.object.isRequired,
+    problems: PropTypes.arrayOf(
+        PropTypes.shape({
+            path: PropTypes.string,
+            message: PropTypes.string.isRequired
+        })
+    )
 };
 
 export default ValidationAPIError;
@@ -14,7 +14,7 @@ const ValidationMessages = ({ field, results }) => {
     __buildBreadcrumbs(labels, field);
 
     return (
-        <Flex column flexShrink={0} width="100%" className="message is-danger">
+        <Flex column flexShrink={0} width="100%" className={`message ${__getClassName(results.status)}`}>
             <div className="message-header">
                 <Flex flexShrink={0}>
                     <Icon icon="exclamation-triangle" />&nbsp;
@@ -28,6 +28,18 @@ const ValidationMessages = ({ field, results }) => {
     );
 };
 
+// Warnings are displayed in yellow, since they don't block submission
+const __getClassName = status => {
+    switch (status) {
+        case VALIDATION_CONST.STATUS.ERROR:
+            return 'is-danger';
+        case VALIDATION_CONST.STATUS.WARNING:
+            return 'is-warning';
+        default:
+            return 'is-info';
+    }
+};
+
 const __renderBreadcrumb = (crumb, index) => (
     <li key={index}>
         <a style={{ cursor: 'inherit', textDecoration: 'inherit' }}>{crumb}</a>
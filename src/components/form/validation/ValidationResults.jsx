@@ -8,7 +8,7 @@ const ValidationResults = ({ instance, subsection, validationMessagesLabel }) =>
     const results = instance.getValidationResults();
     const { validationStateMap } = results;
 
-    if (!instance.hasError()) {
+    if (!instance.hasError() && !instance.hasWarning()) {
         return null;
     }
 
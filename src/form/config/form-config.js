@@ -1,6 +1,7 @@
 import _zipObject from 'lodash/zipObject';
 import _keys from 'lodash/keys';
 import _map from 'lodash/map';
+import _has from 'lodash/has';
 import Maybe from 'maybe-baby';
 import { DATA_TYPE, COMPONENT_DECORATORS, COMPONENT_TYPE } from './form-const';
 import { DATA_TYPE_OPERATIONS, COMPONENT_OPERATIONS, OPERATION_TYPES } from './form-operations';
@@ -22,7 +23,8 @@ class FormConfig {
             [COMPONENT_TYPE.PASSWORD]: require('../../components/form/controls/Text').default,
             [COMPONENT_TYPE.TEXTAREA]: require('../../components/form/controls/Textarea').default,
             [COMPONENT_TYPE.SELECT]: require('../../components/form/controls/Select').default,
-            [COMPONENT_TYPE.RADIO]: require('../../components/form/controls/Radio').default
+            [COMPONENT_TYPE.RADIO]: require('../../components/form/controls/Radio').default,
+            [COMPONENT_TYPE.LABEL]: require('../../components/form/controls/Label').default
         });
         this.__registerDataType(DATA_TYPE.BOOLEAN, {
             [COMPONENT_TYPE.CHECKBOX]: require('../../components/form/controls/Checkbox').default,
@@ -30,7 +32,9 @@ class FormConfig {
         });
         this.__registerDataType(DATA_TYPE.NUMBER, {
             [COMPONENT_TYPE.NUMBER]: require('../../components/form/controls/Number').default,
-            [COMPONENT_TYPE.RANGE]: require('../../components/form/controls/Range').default
+            [COMPONENT_TYPE.RANGE]: require('../../components/form/controls/Range').default,
+            [COMPONENT_TYPE.SUM]: require('../../components/form/controls/Label').default,
+            [COMPONENT_TYPE.LABEL]: require('../../components/form/controls/Label').default
         });
         this.__registerDataType(DATA_TYPE.DATE, {
             [COMPONENT_TYPE.DATE]: require('../../components/form/controls/DateTime').default
@@ -40,31 +44,73 @@ class FormConfig {
             [COMPONENT_TYPE.CHECKBOXGROUP]: require('../../components/form/controls/CheckboxGroup')
                 .default
         });
+        this.__registerDataType(DATA_TYPE.GROUP, {
+            [COMPONENT_TYPE.GROUP]: require('../../components/form/controls/Group').default
+        });
     }
     __registerDataType(type, components) {
         this.typeConfigs[type] = {
             type,
             [COMPONENT_CONFIGS]: _zipObject(
                 _keys(components),
-                _map(components, (component, key) => {
-                    const config = {
-                        dataType: type,
-                        component: {
-                            type: key,
-                            element: component
-                        },
-                        actions: {
-                            onUpdate: this._getOperation(type, key, OPERATION_TYPES.ON_UPDATE)
-                        }
-                    };
-                    if (this._hasDecorators(key)) {
-                        config.defaultDecorators = this._getDefaultDecorators(key);
-                    }
-                    return config;
-                })
+                _map(components, (component, key) => this.buildComponentConfig(type, key, component))
             )
         };
     }
+    /**
+     * Register a React component to render fields of a given data type and component
+     * type. Fields are mapped to the component via the "component" UI decorator, e.g.
+     * { component: { type: 'my-widget' } }. Registering an existing component type
+     * replaces the built-in control.
+     * @param dataType
+     * @param componentType
+     * @param component
+     * @param options.onUpdate Converts the component's update event into a model value
+     * @param options.defaultDecorators UI decorators applied to every field rendered by the component
+     */
+    registerComponent(dataType, componentType, component, options) {
+        if (!this.typeConfigs[dataType]) {
+            this.typeConfigs[dataType] = { type: dataType, [COMPONENT_CONFIGS]: {} };
+        }
+        this.typeConfigs[dataType][COMPONENT_CONFIGS][componentType] = this.buildComponentConfig(
+            dataType,
+            componentType,
+            component,
+            options
+        );
+    }
+    /**
+     * Build the config of a component, which contains the React component, the
+     * onUpdate action and any default decorators
+     * @param dataType
+     * @param componentType
+     * @param component
+     * @param options
+     * @returns {{dataType: *, component: {type: *, element: *}, actions: {onUpdate: *}}}
+     */
+    buildComponentConfig(dataType, componentType, component, options = {}) {
+        if (!dataType) throw new Error('dataType is required');
+        if (!componentType) throw new Error('componentType is required');
+        if (!component) throw new Error('component is required');
+
+        const config = {
+            dataType,
+            component: {
+                type: componentType,
+                element: component
+            },
+            actions: {
+                onUpdate:
+                    options.onUpdate ||
+                    this._getOperation(dataType, componentType, OPERATION_TYPES.ON_UPDATE)
+            }
+        };
+        const defaultDecorators = options.defaultDecorators || this._getDefaultDecorators(componentType);
+        if (defaultDecorators) {
+            config.defaultDecorators = defaultDecorators;
+        }
+        return config;
+    }
     /**
      * Return a typeConfig, which is a map of React components and metadata keyed by component type
      * @param type
@@ -77,6 +123,26 @@ class FormConfig {
         }
         console.warn(`Unmapped data type: ${type}`);
     }
+    /**
+     * Determine whether components are registered for the data type
+     * @param dataType
+     * @returns {boolean}
+     */
+    hasDataType(dataType) {
+        return _has(this.typeConfigs, [dataType]);
+    }
+    /**
+     * Determine whether a component type is registered for the data type
+     * @param dataType
+     * @param componentType
+     * @returns {boolean}
+     */
+    hasComponentType(dataType, componentType) {
+        return (
+            this.hasDataType(dataType) &&
+            _has(this.typeConfigs[dataType][COMPONENT_CONFIGS], [componentType])
+        );
+    }
     /**
      * Given a data type, Return a map of React components keyed by component type
      * @param dataType
@@ -113,13 +179,16 @@ class FormConfig {
             case DATA_TYPE.BOOLEAN:
                 return this.hasOptions(field) ? COMPONENT_TYPE.RADIO : COMPONENT_TYPE.CHECKBOX;
             case DATA_TYPE.STRING:
+                if (this.hasCalculation(field)) return COMPONENT_TYPE.LABEL;
                 return this.hasOptions(field) ? COMPONENT_TYPE.SELECT : COMPONENT_TYPE.TEXT;
             case DATA_TYPE.NUMBER:
-                return COMPONENT_TYPE.NUMBER;
+                return this.hasCalculation(field) ? COMPONENT_TYPE.SUM : COMPONENT_TYPE.NUMBER;
             case DATA_TYPE.DATE:
                 return COMPONENT_TYPE.DATE;
             case DATA_TYPE.ARRAY:
                 return COMPONENT_TYPE.SELECT;
+            case DATA_TYPE.GROUP:
+                return COMPONENT_TYPE.GROUP;
             default: {
                 console.warn(`Unmapped data type: "${field.type}"`);
             }
@@ -144,6 +213,11 @@ class FormConfig {
             .prop('options')
             .isJust();
     }
+    hasCalculation(field) {
+        return Maybe.of(field)
+            .prop('calculation')
+            .isJust();
+    }
     _getOperation(fieldType, componentType, operation) {
         const { field, component } = this._getOperations(fieldType, componentType);
         if (component && component[operation]) {
@@ -159,9 +233,6 @@ class FormConfig {
             component: COMPONENT_OPERATIONS[componentType]
         };
     }
-    _hasDecorators(componentType) {
-        return !!this._getDefaultDecorators(componentType);
-    }
     _getDefaultDecorators(componentType) {
         return COMPONENT_DECORATORS[componentType];
     }
@@ -3,7 +3,8 @@ export const DATA_TYPE = {
     STRING: 'string',
     BOOLEAN: 'boolean',
     NUMBER: 'number',
-    DATE: 'date'
+    DATE: 'date',
+    GROUP: 'group'
 };
 
 export const COMPONENT_TYPE = {
@@ -18,7 +19,8 @@ export const COMPONENT_TYPE = {
     SELECT: 'select',
     DATE: 'date',
     SUM: 'sum',
-    LABEL: 'label'
+    LABEL: 'label',
+    GROUP: 'group'
 };
 
 export const FORM_STATE = {
@@ -45,6 +47,24 @@ const COMMON_PROPERTY = {
 
 export const NO_VALUE = undefined;
 
+export const SERIALIZATION_VERSION = 1;
+
+export const EVENT = {
+    CHANGE: 'change',
+    RESET: 'reset',
+    VALIDATE: 'validate'
+};
+
+export const CHANGE_CAUSE = {
+    USER_EDIT: 'USER_EDIT',
+    CHILD_RESET: 'CHILD_RESET',
+    SHOW_CONDITION: 'SHOW_CONDITION',
+    HYDRATE: 'HYDRATE',
+    CALCULATION: 'CALCULATION',
+    UNDO: 'UNDO',
+    REDO: 'REDO'
+};
+
 export const PROPERTY = {
     FIELD: {
         ...COMMON_PROPERTY,
@@ -57,9 +77,26 @@ export const PROPERTY = {
         MIN: 'min',
         MAX: 'max',
         REQUIRED: 'required',
+        REQUIRED_CONDITION: 'requiredCondition',
+        READ_ONLY: 'readOnly',
+        READ_ONLY_CONDITION: 'readOnlyCondition',
+        DISABLED_CONDITION: 'disabledCondition',
         PLACEHOLDER: 'placeholder',
         SHOW_CONDITION: 'showCondition',
-        PATTERN: 'pattern'
+        PATTERN: 'pattern',
+        CALCULATION: 'calculation',
+        SERIALIZE: 'serialize',
+        VALIDATORS: 'validators',
+        MESSAGES: 'messages',
+        MIN_ITEMS: 'minItems',
+        MAX_ITEMS: 'maxItems',
+        MIN_LENGTH: 'minLength',
+        MAX_LENGTH: 'maxLength',
+        MIN_DATE: 'minDate',
+        MAX_DATE: 'maxDate',
+        TEMPLATE: 'template',
+        TEMPLATE_ID: 'templateId',
+        ROWS: 'rows'
     },
     SUBSECTION: {
         ...COMMON_PROPERTY,
@@ -72,22 +109,47 @@ export const PROPERTY = {
     DEFINITION: {
         ...COMMON_PROPERTY,
         SECTIONS: 'sections',
-        DECORATORS: 'decorators'
+        DECORATORS: 'decorators',
+        RULES: 'rules'
+    },
+    RULE: {
+        ID: 'id',
+        CONDITION: 'condition',
+        MESSAGE: 'message',
+        STATUS: 'status',
+        ACTIONS: 'actions',
+        FIELDS: 'fields'
     }
 };
 
 export const VALIDATION_CONST = {
     TYPE: {
         REQUIRED: '__MissingRequired',
-        INVALID_VALUE: '__InvalidValue'
+        INVALID_VALUE: '__InvalidValue',
+        PENDING: '__Pending',
+        PATTERN_MISMATCH: '__PatternMismatch',
+        RANGE_UNDERFLOW: '__RangeUnderflow',
+        RANGE_OVERFLOW: '__RangeOverflow',
+        ITEM_COUNT: '__InvalidItemCount',
+        TOO_SHORT: '__TooShort',
+        TOO_LONG: '__TooLong',
+        TOO_EARLY: '__TooEarly',
+        TOO_LATE: '__TooLate',
+        RULE_VIOLATION: '__RuleViolation'
     },
     STATUS: {
         OK: 'OK',
+        PENDING: 'PENDING',
         WARNING: 'WARNING',
         ERROR: 'ERROR'
     },
+    ACTION: {
+        SAVE: 'SAVE',
+        SUBMIT: 'SUBMIT'
+    },
     STATUS_RANKS: {
         ERROR: 100,
+        PENDING: 150,
         WARNING: 200,
         OK: 300
     }
@@ -100,5 +162,8 @@ export default {
     FORM_STATE,
     PROPERTY,
     NO_VALUE,
+    SERIALIZATION_VERSION,
+    EVENT,
+    CHANGE_CAUSE,
     VALIDATION_CONST
 };
@@ -2,6 +2,7 @@ import _filter from 'lodash/filter';
 import _remove from 'lodash/remove';
 import _includes from 'lodash/includes';
 import { DATA_TYPE, COMPONENT_TYPE } from './form-const';
+import { __hasValue } from '../../common';
 
 export const OPERATION_TYPES = {
     ON_UPDATE: 'onUpdate'
@@ -35,9 +36,13 @@ export const DATA_TYPE_OPERATIONS = {
     [DATA_TYPE.ARRAY]: {
         onUpdate: (eventOrValue, field, oldValue, newValue) => {
             if (field.component.type === COMPONENT_TYPE.SELECT) {
-                return _filter(eventOrValue.target.options, option => option.selected).map(
+                const selected = _filter(eventOrValue.target.options, option => option.selected).map(
                     option => option.value
                 );
+                // Ignore selections of more than maxItems values
+                return __hasValue(field.maxItems) && selected.length > field.maxItems
+                    ? oldValue
+                    : selected;
             } else {
                 const val = newValue || eventOrValue;
                 if (!oldValue) return [val];
@@ -46,6 +51,9 @@ export const DATA_TYPE_OPERATIONS = {
                     : [..._remove(oldValue, eachVal => eachVal !== val)];
             }
         }
+    },
+    [DATA_TYPE.GROUP]: {
+        onUpdate: keys => keys
     }
 };
 
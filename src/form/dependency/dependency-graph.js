@@ -0,0 +1,170 @@
+import _keys from 'lodash/keys';
+import _values from 'lodash/values';
+import _forEach from 'lodash/forEach';
+import _sortBy from 'lodash/sortBy';
+import _some from 'lodash/some';
+
+const VISITING = 1;
+const VISITED = 2;
+
+/**
+ * Directed graph of the dependencies between fields. A field depends on another
+ * field when its show condition or calculation references the other field's
+ * response; when a response is updated, its dependents are re-evaluated in
+ * topological order, so that each dependent is evaluated after its own dependencies.
+ */
+class DependencyGraph {
+    constructor() {
+        this.nodes = {}; // Field ids keyed by id
+        this.dependents = {}; // Maps of dependent ids keyed by dependency id
+        this.dependencies = {}; // Maps of dependency ids keyed by dependent id
+        this.ranks = null; // Topological rank keyed by id; rebuilt when the graph changes
+    }
+
+    /**
+     * Add a dependency between two fields
+     * @param dependentId Id of the field that is evaluated when the dependency is updated
+     * @param dependencyId Id of the field referenced by the dependent
+     */
+    add(dependentId, dependencyId) {
+        this.nodes[dependentId] = dependentId;
+        this.nodes[dependencyId] = dependencyId;
+        this.dependents[dependencyId] = { ...this.dependents[dependencyId], [dependentId]: dependentId };
+        this.dependencies[dependentId] = {
+            ...this.dependencies[dependentId],
+            [dependencyId]: dependencyId
+        };
+        this.ranks = null;
+    }
+
+    /**
+     * Remove a field from the graph, both as a dependent and as a dependency
+     * @param id
+     */
+    remove(id) {
+        _forEach(_keys(this.dependencies[id]), dependencyId => {
+            delete this.dependents[dependencyId][id];
+        });
+        _forEach(_keys(this.dependents[id]), dependentId => {
+            delete this.dependencies[dependentId][id];
+        });
+        delete this.nodes[id];
+        delete this.dependencies[id];
+        delete this.dependents[id];
+        this.ranks = null;
+    }
+
+    /**
+     * Get the ids of the fields that depend on the given field
+     * @param id
+     * @param transitive Include the dependents of dependents
+     * @returns {Array} Ids in topological order
+     */
+    getDependents(id, transitive) {
+        return this.sort(this.__collect(this.dependents, id, transitive));
+    }
+
+    /**
+     * Get the ids of the fields the given field depends on
+     * @param id
+     * @param transitive Include the dependencies of dependencies
+     * @returns {Array} Ids in topological order
+     */
+    getDependencies(id, transitive) {
+        return this.sort(this.__collect(this.dependencies, id, transitive));
+    }
+
+    /**
+     * Sort a list of ids in topological order (dependencies before dependents).
+     * Ids that are part of a cycle are sorted last.
+     * @param ids
+     * @returns {Array}
+     */
+    sort(ids) {
+        const ranks = this.__getRanks();
+        return _sortBy(ids, id => (id in ranks ? ranks[id] : Infinity));
+    }
+
+    /**
+     * Find a circular dependency
+     * @returns {Array|null} Ids along the cycle, each depending on the next,
+     * starting and ending with the same id
+     */
+    findCycle() {
+        const state = {};
+        const path = [];
+        let cycle = null;
+        const visit = id => {
+            if (state[id] === VISITING) {
+                cycle = path
+                    .slice(path.indexOf(id))
+                    .concat(id)
+                    .reverse();
+                return true;
+            }
+            if (state[id] === VISITED) return false;
+            state[id] = VISITING;
+            path.push(id);
+            if (_some(_values(this.dependents[id]), visit)) return true;
+            path.pop();
+            state[id] = VISITED;
+            return false;
+        };
+        _some(_values(this.nodes), visit);
+        return cycle;
+    }
+
+    /**
+     * Collect the ids adjacent to the given id
+     * @param edges Either the dependents or dependencies
+     * @param id
+     * @param transitive Follow the edges of adjacent ids
+     * @returns {Array}
+     * @private
+     */
+    __collect(edges, id, transitive) {
+        const collected = {};
+        const queue = [id];
+        while (queue.length) {
+            _forEach(edges[queue.shift()], adjacentId => {
+                if (!(adjacentId in collected)) {
+                    collected[adjacentId] = adjacentId;
+                    if (transitive) queue.push(adjacentId);
+                }
+            });
+        }
+        return _values(collected);
+    }
+
+    /**
+     * Rank each id by its position in a topological order (Kahn's algorithm)
+     * @returns {Object}
+     * @private
+     */
+    __getRanks() {
+        if (this.ranks) return this.ranks;
+
+        const ids = _keys(this.nodes);
+        const inDegree = {};
+        ids.forEach(id => {
+            inDegree[id] = _keys(this.dependencies[id]).length;
+        });
+
+        const ranks = {};
+        const queue = ids.filter(id => inDegree[id] === 0);
+        let rank = 0;
+        while (queue.length) {
+            const id = queue.shift();
+            ranks[id] = rank++;
+            _forEach(_keys(this.dependents[id]), dependentId => {
+                inDegree[dependentId]--;
+                if (inDegree[dependentId] === 0) queue.push(dependentId);
+            });
+        }
+
+        this.ranks = ranks;
+        return ranks;
+    }
+}
+
+export default DependencyGraph;
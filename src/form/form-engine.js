@@ -5,22 +5,120 @@ import _isString from 'lodash/isString';
 import _includes from 'lodash/includes';
 import _isEmpty from 'lodash/isEmpty';
 import _omit from 'lodash/omit';
+import _values from 'lodash/values';
+import _isEqual from 'lodash/isEqual';
+import _flatMap from 'lodash/flatMap';
+import _some from 'lodash/some';
+import _keys from 'lodash/keys';
+import _pull from 'lodash/pull';
+import _times from 'lodash/times';
+import _difference from 'lodash/difference';
+import _startsWith from 'lodash/startsWith';
+import _union from 'lodash/union';
+import moment from 'moment';
 
 import ValidationService from '../form/service/validation-service';
 import ExpressionService from '../form/service/expression-service';
 import FormApiService from '../form/service/form-api-service';
+import SerializationService from '../form/service/serialization-service';
+import JsonSchemaService from '../form/service/json-schema-service';
+import ConditionParserService from '../form/service/condition-parser-service';
+import LintService from '../form/service/lint-service';
 
 import FormConfig from '../form/config/form-config';
 import FormValidator from '../form/validation/form-validator';
 import ValidationResults from '../form/validation/validation-results';
+import ValidatorRegistry from '../form/validation/validator-registry';
+import MessageCatalog from '../form/validation/message-catalog';
+import ModelHistory from '../form/history/model-history';
+import DependencyGraph from '../form/dependency/dependency-graph';
 
 import { __clone, __isBlank, __hasValue } from '../common';
-import { NO_VALUE, PROPERTY, DATA_TYPE, VALIDATION_CONST } from './config/form-const';
+import {
+    NO_VALUE,
+    PROPERTY,
+    DATA_TYPE,
+    EVENT,
+    CHANGE_CAUSE,
+    VALIDATION_CONST
+} from './config/form-const';
 
-const { FIELD, DEFINITION } = PROPERTY;
+const { FIELD, DEFINITION, RULE } = PROPERTY;
+
+const ASYNC_VALIDATOR_KEY = '__asyncValidator';
 
 class FormEngine {
+    /**
+     * Register a custom validator, which can be referenced by name
+     * from the "validators" array of field definitions
+     * @param name
+     * @param fn Invoked with (value, params, field, instance)
+     * @param options.dataTypes Data types the validator supports (defaults to all)
+     * @param options.message Default message if the value is invalid
+     */
+    static registerValidator(name, fn, options) {
+        ValidatorRegistry.register(name, fn, options);
+    }
+    /**
+     * Register validation messages for all instances, e.g. translations
+     * @param messages Templates (or functions returning templates) keyed by
+     * validation type (see VALIDATION_CONST.TYPE)
+     */
+    static registerMessages(messages) {
+        MessageCatalog.register(messages);
+    }
+    /**
+     * Register a React component to render fields of a given data type
+     * and component type, for all instances
+     * @param dataType
+     * @param componentType
+     * @param component
+     * @param options.onUpdate Converts the component's update event into a model value
+     * @param options.defaultDecorators UI decorators applied to every field rendered by the component
+     */
+    static registerComponent(dataType, componentType, component, options) {
+        FormConfig.registerComponent(dataType, componentType, component, options);
+    }
+    /**
+     * Convert a JSON Schema (draft-07) into a form definition
+     * @param schema
+     * @param uiSchema Optional UI schema (e.g. "ui:widget", "ui:help", "ui:placeholder")
+     * @returns {{id: string, title: string, sections: Array}}
+     */
+    static fromJsonSchema(schema, uiSchema) {
+        return JsonSchemaService.toDefinition(schema, uiSchema);
+    }
+    /**
+     * Parse a textual condition (e.g. 'age < 18 and country in ["US", "CA"]')
+     * into a condition object
+     * @param text
+     * @returns {{type: string}}
+     * @throws Error with a "position" property if the text is malformed
+     */
+    static parseCondition(text) {
+        return ConditionParserService.parse(text);
+    }
+    /**
+     * Convert a condition object into text
+     * @param condition
+     * @returns {string}
+     */
+    static stringifyCondition(condition) {
+        return ConditionParserService.stringify(condition);
+    }
+    /**
+     * Check a form definition for problems, reporting all of them at once
+     * @param definition
+     * @returns {Array} [{ path, message }]
+     */
+    static lint(definition) {
+        return LintService.lint(definition);
+    }
     constructor(definition, model, options) {
+        this.listeners = {}; // Event listeners keyed by event name
+        this.problems = null; // Problems of an invalid definition, linted on demand (see getProblems)
+        this.definition = definition; // Form definition
+
         try {
             FormApiService.__validateDefinitionShape(definition);
             this.__isDefinitionValid = true;
@@ -30,18 +128,33 @@ class FormEngine {
             return;
         }
 
-        this.definition = definition; // Form definition
         this.decorators = definition.decorators || {}; // UI decorators
 
-        this.showConditionTriggerMap = new SortableMap(); // Map of field ids keyed by trigger id
+        this.dependencyGraph = new DependencyGraph(); // Dependencies of show conditions and calculations
+        this.pendingDependents = null; // Ids of dependent fields awaiting evaluation
+        this.clock = null; // Returns the current time of date expressions; defaults to the system time
+
+        this.componentConfigs = {}; // Instance component configs keyed by data type, then component type
+        this.groupRowSequence = 0; // Used to generate unique repeatable group row keys
 
         this.validator = FormValidator; // Form validator class
         this.validationResults = new ValidationResults(); // Stores validation results
+        this.asyncValidators = {}; // Asynchronous validators keyed by field id
+        this.asyncValidationRuns = {}; // Maps of asynchronous validation runs keyed by field id
+        this.validationOptions = undefined; // Options of the last validate(), re-used by async runs
+        this.messages = {}; // Validation messages keyed by type, overriding the message catalog
+
+        this.history = new ModelHistory(
+            Maybe.of(options)
+                .prop('historyDepth')
+                .join()
+        ); // Undo/redo history of the model
 
         this.model = new SortableMap();
         this.sections = new SortableMap(); // Map of form sections keyed by id
         this.subsections = new SortableMap(); // Map of form subsections keyed by id
         this.fields = new SortableMap(); // Map of form fields keyed by ids
+        this.rules = []; // Cross-field validation rules
 
         this.__initInstance(model, options);
     }
@@ -50,19 +163,37 @@ class FormEngine {
      * @private
      */
     __initInstance(model, options) {
-        this.__hydrateModel(model);
         this.__parseOptions(options);
         this.__cloneSections();
         this.__initFieldMetadata();
+        this.__initRules();
+        // Propagating updates through circular dependencies would never end
+        if (!this.__checkDependencyCycles()) return;
+        this.__hydrateModel(this.__parseModel(model));
+        this.__initGroupRows(this.getFields().values(), CHANGE_CAUSE.HYDRATE);
+        this.__updateCalculatedFields();
+        this.clearHistory();
     }
     /**
      * Hydrate the instance mode with existing data
+     * @param values Decoded model values (see __parseModel)
+     * @private
+     */
+    __hydrateModel(values) {
+        Object.keys(values).forEach(key => {
+            this.__writeModelValue(key, values[key], this.getField(key), CHANGE_CAUSE.HYDRATE);
+        });
+    }
+    /**
+     * Parse and decode a model, which can be either a JSON string or an object.
+     * Values are decoded to their runtime types (e.g. dates to moments) based on
+     * the field data type, so this must be invoked after fields are initialized.
      * @param model
+     * @returns {{}}
      * @private
      */
-    __hydrateModel(model) {
-        if (!model || _isEmpty(model)) return;
-
+    __parseModel(model) {
+        if (!model || _isEmpty(model)) return {};
         let parsed = model;
         if (typeof model === 'string') {
             try {
@@ -70,13 +201,10 @@ class FormEngine {
             } catch (e) {
                 console.error('** FormEngine.__hydrateModel: Unable to parse JSON model!');
                 console.error(`** You passed: ${model}`);
-                parsed = {};
+                return {};
             }
         }
-
-        Object.keys(parsed).forEach(key => {
-            this.model.add(key, model[key]);
-        });
+        return SerializationService.deserialize(this, parsed);
     }
     /**
      * Parse and apply form options
@@ -86,6 +214,9 @@ class FormEngine {
     __parseOptions(options) {
         if (!options) return;
         this.__liveValidation = options.liveValidation || false;
+        this.asyncValidators = options.asyncValidators || {};
+        this.clock = options.clock || null;
+        this.messages = options.messages || {};
     }
     /**
      * Don't modify the original definition. Instead, clone each section
@@ -111,6 +242,33 @@ class FormEngine {
             });
         });
     }
+    /**
+     * Clone the cross-field validation rules of the definition, parsing any
+     * textual conditions, and check that the fields they tag exist
+     * @private
+     */
+    __initRules() {
+        this.rules = (this.getDefinition()[DEFINITION.RULES] || []).map((rule, index) => {
+            const clone = { ...rule };
+            const display = rule[RULE.ID] || index;
+            if (_isString(clone[RULE.CONDITION])) {
+                try {
+                    clone[RULE.CONDITION] = ConditionParserService.parse(clone[RULE.CONDITION]);
+                } catch (error) {
+                    error.message = `[Rule: ${display}] Invalid condition: ${error.message}`;
+                    this.__isDefinitionValid = false;
+                    this.error = error;
+                }
+            }
+            clone[RULE.FIELDS].forEach(id => {
+                if (!this.getField(id)) {
+                    this.__isDefinitionValid = false;
+                    this.error = new Error(`[Rule: ${display}] Unknown field "${id}"`);
+                }
+            });
+            return clone;
+        });
+    }
     /**
      * Decorate an array of fields
      * @param fields
@@ -149,27 +307,31 @@ class FormEngine {
         }
 
         field[FIELD.PARENT] = parent;
-        field[FIELD.UI_DECORATORS] = this.getCustomUIDecorators(field[FIELD.ID]);
 
-        const { actions, component, defaultDecorators } = FormConfig.getComponentConfig(
-            field[FIELD.TYPE],
-            FormConfig.getComponentTypeByField(field)
-        );
+        // The children of a repeatable group are a template, instantiated once per row
+        if (this.isGroupField(field)) {
+            field[FIELD.TEMPLATE] = field[FIELD.FIELDS] || [];
+            field[FIELD.ROWS] = {};
+            delete field[FIELD.FIELDS];
 
-        field[FIELD.ACTIONS] = actions;
-        field[FIELD.COMPONENT] = component;
-
-        // Apply any default decorators
-        if (defaultDecorators) {
-            field[FIELD.UI_DECORATORS] = {
-                ...field[FIELD.UI_DECORATORS],
-                ...defaultDecorators
-            };
+            // Parse the template's conditions up front, so that row references can be namespaced
+            this.getGroupTemplateFields(field).forEach(templateField => {
+                this.__parseFieldConditions(templateField);
+            });
         }
 
+        this.__parseFieldConditions(field);
+
+        this.__applyComponentConfig(field);
+
         // Convert string pattern to RegEx if specified
         if (_isString(field[FIELD.PATTERN])) {
-            field[FIELD.PATTERN] = new RegExp(field[FIELD.PATTERN]);
+            try {
+                field[FIELD.PATTERN] = new RegExp(field[FIELD.PATTERN]);
+            } catch (error) {
+                this.__isDefinitionValid = false;
+                this.error = new Error(`[Field: ${field[FIELD.ID]}] Invalid pattern: ${error.message}`);
+            }
         }
 
         // Register a show condition if specified
@@ -177,31 +339,169 @@ class FormEngine {
             this.__registerShowCondition(field);
         }
 
+        // Register a calculation if specified
+        if (field[FIELD.CALCULATION]) {
+            this.__registerCalculation(field);
+        }
+
+        // Check validator references
+        _forEach(field[FIELD.VALIDATORS], reference => {
+            if (!ValidatorRegistry.has(reference.name)) {
+                console.warn(`Unregistered validator "${reference.name}" (id: ${field[FIELD.ID]})`);
+            } else if (!ValidatorRegistry.supportsDataType(reference.name, field[FIELD.TYPE])) {
+                console.warn(
+                    `Validator "${reference.name}" does not support data type "${
+                        field[FIELD.TYPE]
+                    }" (id: ${field[FIELD.ID]})`
+                );
+            }
+        });
+
         // Add the field to fields
         this.fields.add(field[FIELD.ID], field);
     }
     /**
-     * Register a field's showCondition with the instance. For any
-     * form response expressions within the condition, add the form
-     * response id (the trigger) to the map, along with the show
-     * condition. When given model value is updated in setModelValue(),
-     * we check the trigger map and evaluate any available show conditions.
-     * If the condition evaluates to false, the field is cleared.
+     * Parse any textual conditions of the field into condition objects
+     * @param field
+     * @private
+     */
+    __parseFieldConditions(field) {
+        [
+            FIELD.SHOW_CONDITION,
+            FIELD.REQUIRED_CONDITION,
+            FIELD.READ_ONLY_CONDITION,
+            FIELD.DISABLED_CONDITION
+        ].forEach(prop => {
+            if (!_isString(field[prop])) return;
+            try {
+                field[prop] = ConditionParserService.parse(field[prop]);
+            } catch (error) {
+                error.message = `[Field: ${field[FIELD.ID]}] Invalid ${prop}: ${error.message}`;
+                this.__isDefinitionValid = false;
+                this.error = error;
+            }
+        });
+    }
+    /**
+     * Apply the component config (React component, actions and default
+     * decorators) to the field based on its data type and component type
+     * @param field
+     * @private
+     */
+    __applyComponentConfig(field) {
+        field[FIELD.UI_DECORATORS] = this.getCustomUIDecorators(
+            field[FIELD.TEMPLATE_ID] || field[FIELD.ID]
+        );
+
+        const { actions, component, defaultDecorators } = this.getComponentConfig(field) || {};
+
+        field[FIELD.ACTIONS] = actions;
+        field[FIELD.COMPONENT] = component;
+
+        // Apply any default decorators
+        if (defaultDecorators) {
+            field[FIELD.UI_DECORATORS] = {
+                ...field[FIELD.UI_DECORATORS],
+                ...defaultDecorators
+            };
+        }
+    }
+    /**
+     * Register a field's showCondition with the instance. Every form
+     * response referenced within the condition (at any depth) becomes a
+     * dependency of the field. When a dependency is updated in setModelValue(),
+     * the condition is evaluated; if it evaluates to false, the field is cleared.
      * @param field
      */
     __registerShowCondition(field) {
-        const { expression, expression1, expression2 } = field.showCondition;
-        [expression, expression1, expression2].forEach(_expression => {
-            if (ExpressionService.isFormResponseExpression(_expression)) {
-                let list = this.showConditionTriggerMap.find(_expression.id);
-                if (!list) {
-                    list = [];
-                    this.showConditionTriggerMap.add(_expression.id, list);
-                }
-                list.push(field[FIELD.ID]);
+        ExpressionService.getFormResponseIds(field[FIELD.SHOW_CONDITION]).forEach(id => {
+            this.dependencyGraph.add(field[FIELD.ID], id);
+        });
+    }
+    /**
+     * Register a field's calculation with the instance. Every form
+     * response referenced within the calculation becomes a dependency of
+     * the field; when a dependency is updated in setModelValue(), the
+     * calculation is re-evaluated and stored in the model.
+     * @param field
+     */
+    __registerCalculation(field) {
+        ExpressionService.getFormResponseIds(field[FIELD.CALCULATION]).forEach(id => {
+            this.dependencyGraph.add(field[FIELD.ID], id);
+        });
+    }
+    /**
+     * Check the show conditions and calculations for circular dependencies,
+     * including those within repeatable group templates. A cycle invalidates
+     * the definition.
+     * @returns {boolean} Whether the dependencies are free of cycles
+     * @private
+     */
+    __checkDependencyCycles() {
+        const cycle =
+            this.dependencyGraph.findCycle() ||
+            this.__findTemplateCycle(
+                this.getFields()
+                    .values()
+                    .filter(field => this.isGroupField(field))
+            );
+        if (cycle) {
+            this.__isDefinitionValid = false;
+            this.error = new Error(`[Field: ${cycle[0]}] Circular dependency: ${cycle.join(' -> ')}`);
+        }
+        return !cycle;
+    }
+    /**
+     * Find a circular dependency between the template fields of repeatable
+     * groups (and of any groups nested within them)
+     * @param groups
+     * @returns {Array|null}
+     * @private
+     */
+    __findTemplateCycle(groups) {
+        let cycle = null;
+        _some(groups, group => {
+            const graph = new DependencyGraph();
+            const templateFields = this.getGroupTemplateFields(group);
+            templateFields.forEach(field => {
+                [field[FIELD.SHOW_CONDITION], field[FIELD.CALCULATION]].forEach(node => {
+                    ExpressionService.getFormResponseIds(node).forEach(id => {
+                        graph.add(field[FIELD.ID], id);
+                    });
+                });
+            });
+            cycle =
+                graph.findCycle() ||
+                this.__findTemplateCycle(templateFields.filter(field => this.isGroupField(field)));
+            return !!cycle;
+        });
+        return cycle;
+    }
+    /**
+     * Evaluate every calculated field, and store the results in the model
+     * @private
+     */
+    __updateCalculatedFields() {
+        this.getFields().forEachValue(field => {
+            if (field[FIELD.CALCULATION]) {
+                this.__updateCalculatedField(field);
             }
         });
     }
+    /**
+     * Evaluate a calculated field, and store the result in the model
+     * @param field
+     * @private
+     */
+    __updateCalculatedField(field) {
+        const value = this.evaluateCalculation(field);
+        this.setModelValue(
+            field[FIELD.ID],
+            __hasValue(value) ? value : NO_VALUE,
+            field,
+            CHANGE_CAUSE.CALCULATION
+        );
+    }
     /**
      * Get form title
      * @returns {*}
@@ -250,6 +550,18 @@ class FormEngine {
     getError() {
         return this.error;
     }
+    /**
+     * Get the problems of an invalid form definition (see FormEngine.lint)
+     * @returns {Array} [{ path, message }]
+     */
+    getProblems() {
+        if (this.__isDefinitionValid) return [];
+        // Report every problem of the invalid definition, not just the first error
+        if (!this.problems) {
+            this.problems = LintService.lint(this.definition);
+        }
+        return this.problems;
+    }
     /**
      * Get form definition
      * @returns {*}
@@ -279,15 +591,38 @@ class FormEngine {
     }
 
     /**
-     * Serialize the model to json
+     * Serialize the model to json. Values are encoded based on the
+     * field data type, and wrapped in a versioned envelope. Fields with
+     * "serialize" set to false (e.g. calculated totals) are omitted.
      * @returns {string}
      */
     serializeModel() {
-        let store = {};
-        this.getModelValues().forEach(entry => {
-            store[entry.key] = entry.value;
+        return JSON.stringify(SerializationService.serialize(this));
+    }
+    /**
+     * Describe the serialized model (see serializeModel()) as JSON Schema, so
+     * submitted payloads can be validated independently of the UI
+     * @returns {{}}
+     */
+    toJsonSchema() {
+        return JsonSchemaService.toJsonSchema(this);
+    }
+    /**
+     * Replace the model with existing data. Unlike construction-time
+     * hydration, listeners are notified of each changed value.
+     * @param model
+     */
+    hydrate(model) {
+        const values = this.__parseModel(model);
+        this.getModel().forEachKey(key => {
+            if (!Object.prototype.hasOwnProperty.call(values, key)) {
+                this.__writeModelValue(key, NO_VALUE, this.getField(key), CHANGE_CAUSE.HYDRATE);
+            }
         });
-        return JSON.stringify(store);
+        this.__hydrateModel(values);
+        this.__initGroupRows(this.getFields().values(), CHANGE_CAUSE.HYDRATE);
+        this.__updateCalculatedFields();
+        this.clearHistory();
     }
     /**
      * Get single model value (e.g. form response)
@@ -319,6 +654,46 @@ class FormEngine {
     getCustomUIDecorators(id) {
         return this.getDecorators()[id];
     }
+    /**
+     * Register a React component to render fields of a given data type and
+     * component type, for this instance only. Fields that have already been
+     * decorated are updated to render the component.
+     * @param dataType
+     * @param componentType
+     * @param component
+     * @param options.onUpdate Converts the component's update event into a model value
+     * @param options.defaultDecorators UI decorators applied to every field rendered by the component
+     */
+    registerComponent(dataType, componentType, component, options) {
+        this.componentConfigs[dataType] = {
+            ...this.componentConfigs[dataType],
+            [componentType]: FormConfig.buildComponentConfig(dataType, componentType, component, options)
+        };
+        this.getFields().forEachValue(field => {
+            if (
+                field[FIELD.TYPE] === dataType &&
+                FormConfig.getComponentTypeByField(field) === componentType
+            ) {
+                this.__applyComponentConfig(field);
+            }
+        });
+    }
+    /**
+     * Get the component config of a field. Components registered with
+     * the instance take precedence over those registered globally.
+     * @param field
+     * @returns {*}
+     */
+    getComponentConfig(field) {
+        const dataType = field[FIELD.TYPE];
+        const componentType = FormConfig.getComponentTypeByField(field);
+        return (
+            Maybe.of(this.componentConfigs)
+                .prop(dataType)
+                .prop(componentType)
+                .join() || FormConfig.getComponentConfig(dataType, componentType)
+        );
+    }
     /**
      * Get sections from the definition
      * @returns {*|Array|sections|{id, title, subtitle, sortOrder, subsections}}
@@ -326,6 +701,13 @@ class FormEngine {
     getDefinitionSections() {
         return this.getDefinition().sections;
     }
+    /**
+     * Get the cross-field validation rules, whose textual conditions are parsed
+     * @returns {Array}
+     */
+    getRules() {
+        return this.rules;
+    }
     /**
      * Get form sections
      * @returns {SortableMap|*}
@@ -390,61 +772,432 @@ class FormEngine {
     isBooleanField(field) {
         return field[FIELD.TYPE] === DATA_TYPE.BOOLEAN;
     }
+    /**
+     * Determine if the field is a repeatable group
+     * @param field
+     * @returns {boolean}
+     */
+    isGroupField(field) {
+        return !!field && field[FIELD.TYPE] === DATA_TYPE.GROUP;
+    }
+    /**
+     * Generate a unique key for a new repeatable group row
+     * @returns {string}
+     */
+    createGroupRowKey() {
+        this.groupRowSequence++;
+        return `row${this.groupRowSequence}`;
+    }
+    /**
+     * Get the id of a field within a repeatable group row
+     * @param groupId
+     * @param key Row key
+     * @param templateId Id of the field in the group template
+     * @returns {string}
+     */
+    getGroupRowFieldId(groupId, key, templateId) {
+        return `${groupId}.${key}.${templateId}`;
+    }
+    /**
+     * Get the rows of a repeatable group in model order, along with the
+     * top-level fields instantiated for each row
+     * @param group
+     * @returns {Array} [{ key, fields }]
+     */
+    getGroupRows(group) {
+        return (this.getModelValue(group[FIELD.ID]) || []).map(key => ({
+            key,
+            fields: group[FIELD.ROWS][key] || []
+        }));
+    }
+    /**
+     * Get the template fields of a repeatable group, flattened to include
+     * child and option fields (but not the templates of nested groups).
+     * Accepts either a decorated group, or a group definition.
+     * @param group
+     * @returns {Array}
+     */
+    getGroupTemplateFields(group) {
+        return this.__flattenTemplate(group[FIELD.TEMPLATE] || group[FIELD.FIELDS], []);
+    }
+    __flattenTemplate(fields, list) {
+        _forEach(fields, field => {
+            list.push(field);
+            if (!this.isGroupField(field)) {
+                this.__flattenTemplate(field[FIELD.FIELDS], list);
+            }
+            _forEach(field[FIELD.OPTIONS], option => this.__flattenTemplate(option[FIELD.FIELDS], list));
+        });
+        return list;
+    }
+    /**
+     * Get every field instantiated for a repeatable group row,
+     * including the fields of any nested group rows
+     * @param group
+     * @param key
+     * @returns {Array}
+     * @private
+     */
+    __findGroupRowFields(group, key) {
+        const prefix = this.getGroupRowFieldId(group[FIELD.ID], key, '');
+        return this.getFields()
+            .values()
+            .filter(field => _startsWith(field[FIELD.ID], prefix));
+    }
+    /**
+     * Instantiate and remove the fields of repeatable group rows
+     * to match the row keys in the model
+     * @param group
+     * @param keys
+     * @private
+     */
+    __syncGroupRows(group, keys) {
+        _keys(group[FIELD.ROWS]).forEach(key => {
+            if (!_includes(keys, key)) {
+                this.__removeGroupRow(group, key);
+            }
+        });
+        _forEach(keys, key => {
+            if (!group[FIELD.ROWS][key]) {
+                this.__instantiateGroupRow(group, key);
+            }
+        });
+    }
+    /**
+     * Instantiate the fields of a repeatable group row from the group template.
+     * Field ids are namespaced by group id and row key, as are any references
+     * to sibling fields in show conditions and calculations.
+     * @param group
+     * @param key
+     * @private
+     */
+    __instantiateGroupRow(group, key) {
+        const prefix = this.getGroupRowFieldId(group[FIELD.ID], key, '');
+        const fields = __clone(group[FIELD.TEMPLATE]) || [];
+        const templateFields = this.__flattenTemplate(fields, []);
+        const templateIds = templateFields.map(field => field[FIELD.ID]);
+
+        this.__namespaceReferences(fields, prefix, templateIds);
+        templateFields.forEach(field => {
+            field[FIELD.TEMPLATE_ID] = field[FIELD.ID];
+            field[FIELD.ID] = `${prefix}${field[FIELD.ID]}`;
+        });
+
+        group[FIELD.ROWS] = { ...group[FIELD.ROWS], [key]: fields };
+        this.__decorateFields(fields, group);
+
+        // Row values may already exist (e.g. hydrating, or undoing a removal)
+        templateFields.forEach(field => {
+            field.dirty = this.hasModelValue(field[FIELD.ID]);
+        });
+    }
+    /**
+     * Prefix form response references to any of the given template ids
+     * @param node Condition, expression, or any object containing them
+     * @param prefix
+     * @param templateIds
+     * @private
+     */
+    __namespaceReferences(node, prefix, templateIds) {
+        if (!node || typeof node !== 'object') return;
+        if (ExpressionService.isFormResponseExpression(node) && _includes(templateIds, node.id)) {
+            node.id = `${prefix}${node.id}`;
+        }
+        _forEach(node, child => this.__namespaceReferences(child, prefix, templateIds));
+    }
+    /**
+     * Remove the fields of a repeatable group row from the instance. Their
+     * model values are reset beforehand by setModelValue().
+     * @param group
+     * @param key
+     * @private
+     */
+    __removeGroupRow(group, key) {
+        this.__findGroupRowFields(group, key).forEach(field => {
+            const id = field[FIELD.ID];
+            this.fields.delete(id);
+            this.dependencyGraph.remove(id);
+            this.__cancelAsyncValidation(id);
+        });
+        group[FIELD.ROWS] = _omit(group[FIELD.ROWS], key);
+    }
+    /**
+     * Add the minimum number of rows to repeatable groups without a value
+     * @param fields
+     * @param cause
+     * @private
+     */
+    __initGroupRows(fields, cause) {
+        _forEach(fields, field => {
+            if (
+                this.isGroupField(field) &&
+                !this.hasModelValue(field[FIELD.ID]) &&
+                field[FIELD.MIN_ITEMS] > 0
+            ) {
+                const keys = _times(field[FIELD.MIN_ITEMS], () => this.createGroupRowKey());
+                this.setModelValue(field[FIELD.ID], keys, field, cause);
+            }
+        });
+    }
     /**
      * Set a model value
      * @param id
      * @param value
      * @param field
+     * @param cause What triggered the update (see CHANGE_CAUSE)
      */
-    setModelValue(id, value, field) {
+    setModelValue(id, value, field, cause = CHANGE_CAUSE.USER_EDIT) {
         // Set or reset the model value
         if (value === this.getModelValue(id)) return;
 
+        // Record the update, along with any cascading updates, as a single history step
+        this.__transact(() => {
+            const oldValue = this.getModelValue(id);
+
+            // Reset the fields of removed group rows, before the fields themselves are removed
+            if (this.isGroupField(field)) {
+                _difference(oldValue, value).forEach(key => {
+                    this.resetFields(this.__findGroupRowFields(field, key));
+                });
+            }
+
+            field.dirty = value !== NO_VALUE;
+            this.__writeModelValue(id, value, field, cause);
+
+            // Initialize the calculations and nested groups of added group rows
+            if (this.isGroupField(field)) {
+                _difference(value, oldValue).forEach(key => {
+                    const rowFields = this.__findGroupRowFields(field, key);
+                    rowFields.forEach(rowField => {
+                        if (rowField[FIELD.CALCULATION]) {
+                            this.__updateCalculatedField(rowField);
+                        }
+                    });
+                    this.__initGroupRows(rowFields, cause);
+                });
+            }
+
+            // Reset children if necessary
+            if (this.doResetChildren(field, value)) {
+                this.resetFields(field[FIELD.FIELDS]);
+            }
+            // Reset the children of any option fields if the option is not selected
+            _forEach(field[FIELD.OPTIONS], option => {
+                if (
+                    option[FIELD.FIELDS] &&
+                    ((this.isBooleanField(field) && !value) || !_includes(value, option[FIELD.ID]))
+                ) {
+                    this.resetFields(option[FIELD.FIELDS]);
+                }
+            });
+
+            // Re-evaluate the show conditions and calculations of dependent fields
+            this.__propagate(id);
+        });
+    }
+    /**
+     * Re-evaluate the fields that depend on an updated field. Dependents are
+     * evaluated in topological order; updates made while propagating add
+     * their own dependents to the pending list, rather than propagating
+     * recursively, so that each dependent is evaluated after its dependencies.
+     * @param id
+     * @private
+     */
+    __propagate(id) {
+        const dependents = this.dependencyGraph.getDependents(id);
+        if (this.pendingDependents) {
+            this.pendingDependents = _union(this.pendingDependents, dependents);
+            return;
+        }
+
+        this.pendingDependents = dependents;
+        try {
+            while (this.pendingDependents.length) {
+                const [next] = this.dependencyGraph.sort(this.pendingDependents);
+                _pull(this.pendingDependents, next);
+                this.__evaluateDependent(this.getField(next));
+            }
+        } finally {
+            this.pendingDependents = null;
+        }
+    }
+    /**
+     * Clear a field if its show condition is no longer met; otherwise
+     * update the field if it is calculated
+     * @param field
+     * @private
+     */
+    __evaluateDependent(field) {
+        // The field may have been removed, along with its group row
+        if (!field) return;
+
+        const id = field[FIELD.ID];
+        if (
+            field[FIELD.SHOW_CONDITION] &&
+            this.hasModelValue(id) &&
+            !this.evaluateFieldShowCondition(field)
+        ) {
+            this.setModelValue(id, NO_VALUE, field, CHANGE_CAUSE.SHOW_CONDITION);
+        } else if (field[FIELD.CALCULATION]) {
+            this.__updateCalculatedField(field);
+        }
+    }
+    /**
+     * Invoke a function within a history transaction
+     * @param fn
+     * @private
+     */
+    __transact(fn) {
+        this.history.begin();
+        try {
+            fn();
+        } finally {
+            this.history.commit();
+        }
+    }
+    /**
+     * Write a value to the model, and notify listeners. Does not
+     * cascade to children or dependent fields; see setModelValue().
+     * @param id
+     * @param value
+     * @param field
+     * @param cause
+     * @private
+     */
+    __writeModelValue(id, value, field, cause) {
+        const oldValue = this.getModelValue(id);
+        if (value === oldValue) return;
+
         if (value === NO_VALUE) {
-            field.dirty = false;
             this.model.delete(id);
         } else {
-            field.dirty = true;
             this.model.add(id, value);
         }
 
-        // Reset children if necessary
-        if (this.doResetChildren(field, value)) {
-            this.resetFields(field[FIELD.FIELDS]);
+        if (this.isGroupField(field)) {
+            this.__syncGroupRows(field, value);
         }
-        // Reset the children of any option fields if the option is not selected
-        _forEach(field[FIELD.OPTIONS], option => {
-            if (
-                option[FIELD.FIELDS] &&
-                ((this.isBooleanField(field) && !value) || !_includes(value, option[FIELD.ID]))
-            ) {
-                this.resetFields(option[FIELD.FIELDS]);
-            }
-        });
 
-        // Evaluate the show condition of dependent fields if this field is a trigger
-        if (this.showConditionTriggerMap.has(id)) {
-            this.showConditionTriggerMap.find(id).forEach(fieldId => {
-                if (
-                    this.hasModelValue(fieldId) &&
-                    !this.evaluateFieldShowCondition(this.getField(fieldId))
-                ) {
-                    this.setModelValue(fieldId, NO_VALUE, this.getField(fieldId));
-                }
-            });
+        this.history.record(id, oldValue, value);
+        this.__cancelAsyncValidation(id);
+
+        const event = { id, field, oldValue, newValue: value, cause };
+        this.__emit(EVENT.CHANGE, event);
+        if (value === NO_VALUE) {
+            this.__emit(EVENT.RESET, event);
+        }
+    }
+    /**
+     * Revert the most recent model update, including any cascading updates
+     * @returns {Array|undefined} The reverted changes
+     */
+    undo() {
+        const changes = this.history.undo();
+        _forEach(changes && [...changes].reverse(), change => {
+            this.__restoreModelValue(change.id, change.oldValue, CHANGE_CAUSE.UNDO);
+        });
+        return changes;
+    }
+    /**
+     * Reapply the most recently reverted model update
+     * @returns {Array|undefined} The reapplied changes
+     */
+    redo() {
+        const changes = this.history.redo();
+        _forEach(changes, change => {
+            this.__restoreModelValue(change.id, change.newValue, CHANGE_CAUSE.REDO);
+        });
+        return changes;
+    }
+    /**
+     * Determine whether there is an update to revert
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.history.canUndo();
+    }
+    /**
+     * Determine whether there is a reverted update to reapply
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.history.canRedo();
+    }
+    /**
+     * Clear the undo/redo history
+     */
+    clearHistory() {
+        this.history.clear();
+    }
+    /**
+     * Write a value from the history to the model
+     * @param id
+     * @param value
+     * @param cause
+     * @private
+     */
+    __restoreModelValue(id, value, cause) {
+        const field = this.getField(id);
+        if (field) {
+            field.dirty = value !== NO_VALUE;
         }
+        this.__writeModelValue(id, value, field, cause);
     }
     /**
      * Reset a specific list of fields, if they contain a model value
      * @param fields
+     * @param cause
      */
-    resetFields(fields) {
+    resetFields(fields, cause = CHANGE_CAUSE.CHILD_RESET) {
         _forEach(fields, field => {
             if (this.hasModelValue(field[FIELD.ID])) {
-                this.setModelValue(field[FIELD.ID], NO_VALUE, field);
+                this.setModelValue(field[FIELD.ID], NO_VALUE, field, cause);
             }
         });
     }
+    /**
+     * Register a listener for an instance event (see EVENT). Change
+     * and reset listeners receive the field id, old value, new value
+     * and cause; validate listeners receive the validation results.
+     * @param event
+     * @param listener
+     * @returns {function} Call to unsubscribe the listener
+     */
+    on(event, listener) {
+        if (!_includes(_values(EVENT), event)) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        if (typeof listener !== 'function') {
+            throw new Error('listener must be a function');
+        }
+        this.listeners[event] = [...(this.listeners[event] || []), listener];
+        return () => this.off(event, listener);
+    }
+    /**
+     * Unregister a listener for an instance event
+     * @param event
+     * @param listener
+     */
+    off(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(each => each !== listener);
+    }
+    /**
+     * Register a listener for model changes
+     * @param listener
+     * @returns {function} Call to unsubscribe the listener
+     */
+    subscribe(listener) {
+        return this.on(EVENT.CHANGE, listener);
+    }
+    /**
+     * Notify the listeners of an event
+     * @param event
+     * @param payload
+     * @private
+     */
+    __emit(event, payload) {
+        _forEach(this.listeners[event], listener => listener(payload));
+    }
     /**
      * Determine whether to clear the children of a given field
      * based on its value
@@ -471,6 +1224,117 @@ class FormEngine {
             }
         }
     }
+    /**
+     * Determine whether a field is required, either statically via "required",
+     * or while its requiredCondition is met. Disabled fields are never required.
+     * @param field
+     * @returns {boolean}
+     */
+    isFieldRequired(field) {
+        if (this.isFieldDisabled(field)) return false;
+        if (field[FIELD.REQUIRED]) return true;
+        return !!this.evaluateCondition(field[FIELD.REQUIRED_CONDITION]);
+    }
+    /**
+     * Determine whether a field is disabled, i.e. the disabledCondition of the
+     * field, or of any of its ancestors, is met
+     * @param field
+     * @returns {boolean}
+     */
+    isFieldDisabled(field) {
+        return this.__someFieldOrAncestor(field, each =>
+            this.evaluateCondition(each[FIELD.DISABLED_CONDITION])
+        );
+    }
+    /**
+     * Determine whether a field is read-only, either statically via "readOnly",
+     * or while its readOnlyCondition is met. Read-only is inherited from ancestors.
+     * @param field
+     * @returns {boolean}
+     */
+    isFieldReadOnly(field) {
+        return this.__someFieldOrAncestor(
+            field,
+            each => each[FIELD.READ_ONLY] || this.evaluateCondition(each[FIELD.READ_ONLY_CONDITION])
+        );
+    }
+    /**
+     * Determine whether a field can be edited, i.e. it is neither disabled nor read-only
+     * @param field
+     * @returns {boolean}
+     */
+    isFieldEditable(field) {
+        return !this.isFieldDisabled(field) && !this.isFieldReadOnly(field);
+    }
+    /**
+     * Determine whether a field is shown, i.e. the show conditions of the field and
+     * its ancestors are met, each ancestor field has a value (e.g. a checked
+     * checkbox), and each ancestor option is selected
+     * @param field
+     * @returns {boolean}
+     */
+    isFieldShown(field) {
+        return !this.__someFieldOrAncestor(
+            field,
+            each => !this.evaluateFieldShowCondition(each) || this.__isHiddenByParent(each)
+        );
+    }
+    /**
+     * Determine whether the parent of a field or option hides it: an unselected
+     * option hides its fields, and a field without a value hides its children
+     * @param fieldOrOption
+     * @returns {boolean}
+     * @private
+     */
+    __isHiddenByParent(fieldOrOption) {
+        const parent = fieldOrOption[FIELD.PARENT];
+        // Group rows are shown for as long as they exist, and fields of options by the option
+        if (!parent || this.isGroupField(parent) || this.__isOption(parent)) return false;
+        const value = this.getModelValue(parent[FIELD.ID]);
+        if (this.__isOption(fieldOrOption)) {
+            return !this.__isOptionSelected(parent, fieldOrOption, value);
+        }
+        return __isBlank(value) || value === false;
+    }
+    /**
+     * Determine whether an object is one of the options of its parent field
+     * @param fieldOrOption
+     * @returns {boolean}
+     * @private
+     */
+    __isOption(fieldOrOption) {
+        const parent = fieldOrOption[FIELD.PARENT];
+        return !!parent && _includes(parent[FIELD.OPTIONS], fieldOrOption);
+    }
+    /**
+     * Determine whether an option of a field is selected by the value of the field.
+     * Like the Radio control, boolean options without ids alternate true and false.
+     * @param field
+     * @param option
+     * @param value
+     * @returns {boolean}
+     * @private
+     */
+    __isOptionSelected(field, option, value) {
+        if (Array.isArray(value)) return _includes(value, option[FIELD.ID]);
+        if (__hasValue(option[FIELD.ID])) return value === option[FIELD.ID];
+        const isEven = field[FIELD.OPTIONS].indexOf(option) % 2 === 0;
+        return __hasValue(value) && (isEven ? !!value : !value);
+    }
+    /**
+     * Determine whether the predicate is met by the field or any of its
+     * ancestors (including the options that contain child fields)
+     * @param field
+     * @param predicate
+     * @returns {boolean}
+     * @private
+     */
+    __someFieldOrAncestor(field, predicate) {
+        for (let each = field; each; each = each[FIELD.PARENT]) {
+            if (predicate(each)) return true;
+        }
+        return false;
+    }
     /**
      * Evaluate the show condition of the field
      * @param field
@@ -490,17 +1354,274 @@ class FormEngine {
         if (!condition) return false;
         return ExpressionService.evalCondition(condition, this);
     }
+    /**
+     * Explain why a condition of the field is met or not, e.g. why the field
+     * is visible or hidden
+     * @param id
+     * @param property Condition property (defaults to the show condition)
+     * @returns {Object|null} The condition, with the result of each nested condition and
+     * the value of each expression (see ExpressionService.explainCondition), or null if the
+     * field has no such condition
+     */
+    explainCondition(id, property = FIELD.SHOW_CONDITION) {
+        const field = this.getField(id);
+        if (!field || !field[property]) return null;
+        return ExpressionService.explainCondition(field[property], this);
+    }
+    /**
+     * Evaluate the calculation of the field
+     * @param field
+     * @returns {*}
+     */
+    evaluateCalculation(field) {
+        if (!field[FIELD.CALCULATION]) return;
+        return ExpressionService.evalExpression(field[FIELD.CALCULATION], this);
+    }
+    /**
+     * Get the current time, as used by date expressions (e.g. NOW and AGE)
+     * @returns {moment}
+     */
+    getCurrentTime() {
+        return moment(this.clock ? this.clock() : undefined);
+    }
+    /**
+     * Get the ids of the fields whose show condition or calculation
+     * references the given field
+     * @param id
+     * @param transitive Include the dependents of dependents
+     * @returns {Array} Ids in evaluation order
+     */
+    getDependents(id, transitive) {
+        return this.dependencyGraph.getDependents(id, transitive);
+    }
+    /**
+     * Get the ids of the fields referenced by the show condition
+     * or calculation of the given field
+     * @param id
+     * @param transitive Include the dependencies of dependencies
+     * @returns {Array} Ids in evaluation order
+     */
+    getDependencies(id, transitive) {
+        return this.dependencyGraph.getDependencies(id, transitive);
+    }
     isLiveValidation() {
         return this.__liveValidation;
     }
-    validate() {
+    /**
+     * Validate the dirty fields of the form
+     * @param options {all: boolean} Validate every enabled field that is shown (see
+     * isFieldShown), including those the user hasn't touched, e.g. before checking
+     * whether an action can be performed
+     */
+    validate(options) {
+        this.validationOptions = options;
         this.validationResults.clear();
-        this.validator.validate(this, this.validationResults);
+        this.validator.validate(this, this.validationResults, options);
         this.validationResults.postProcess();
+        this.__emit(EVENT.VALIDATE, { validationResults: this.validationResults });
+    }
+    /**
+     * Validate the form, and wait for any asynchronous validators to complete.
+     * If a value changes while a validator is in flight, the stale run is
+     * cancelled and the new value is validated before resolving.
+     * @param options See validate
+     * @returns {Promise<ValidationResults>}
+     */
+    validateAsync(options) {
+        this.validate(options);
+        const pending = _flatMap(_values(this.asyncValidationRuns), _values)
+            .filter(run => run.pending)
+            .map(run => run.promise);
+        if (_isEmpty(pending)) {
+            return Promise.resolve(this.getValidationResults());
+        }
+        return Promise.all(pending).then(() => this.validateAsync(options));
+    }
+    /**
+     * Determine if the field has an asynchronous validator
+     * @param field
+     * @returns {boolean}
+     */
+    hasAsyncValidator(field) {
+        return !!this.asyncValidators[field[FIELD.ID]];
+    }
+    /**
+     * Run the asynchronous validator of a field (see the "asyncValidators" option)
+     * @param field
+     * @param value
+     * @returns {{status: string, message: string, pending: boolean}}
+     */
+    validateFieldAsync(field, value) {
+        const validator = this.asyncValidators[field[FIELD.ID]];
+        return this.runValidator(field, ASYNC_VALIDATOR_KEY, value, () => validator(value, field, this));
+    }
+    /**
+     * Run a validator against a field value. Validators can return their result
+     * directly, or a Promise. Promised results are tracked as runs keyed by field
+     * id and validator key: while a run is in flight its result is pending, and
+     * once complete the form is re-validated to pick up the result.
+     * @param field
+     * @param key Uniquely identifies the validator within the field
+     * @param value
+     * @param validator Function that invokes the validator
+     * @param defaultMessage Message to use if the validator doesn't supply one
+     * @returns {{status: string, message: string, actions: Array, pending: boolean}}
+     */
+    runValidator(
+        field,
+        key,
+        value,
+        validator,
+        defaultMessage = this.getValidationMessage(field, VALIDATION_CONST.TYPE.INVALID_VALUE)
+    ) {
+        const id = field[FIELD.ID];
+        const runs = this.asyncValidationRuns[id] || {};
+        const existing = runs[key];
+        if (existing && _isEqual(existing.value, value)) {
+            return existing;
+        }
+
+        const result = validator();
+        if (!result || typeof result.then !== 'function') {
+            return ValidationService.toValidationResult(result, defaultMessage);
+        }
+
+        if (existing) {
+            existing.cancelled = true;
+        }
+
+        const run = { value, pending: true };
+        run.promise = Promise.resolve(result)
+            .then(resolved => ValidationService.toValidationResult(resolved, defaultMessage))
+            .catch(error => ({
+                status: VALIDATION_CONST.STATUS.ERROR,
+                message: (error && error.message) || 'Unable to validate value.'
+            }))
+            .then(({ status, message, actions }) => {
+                if (run.cancelled) return;
+                run.pending = false;
+                run.status = status;
+                run.message = message;
+                run.actions = actions;
+                // Re-validate the same fields as the last validation (e.g. every field, on submit)
+                this.validate(this.validationOptions);
+            })
+            .catch(error => {
+                console.error(
+                    `Unable to re-validate after validator "${key}" completed (id: ${id})`,
+                    error
+                );
+            });
+
+        this.asyncValidationRuns[id] = { ...runs, [key]: run };
+        return run;
+    }
+    /**
+     * Get the validation message of a field. The message is the first of the field's
+     * "messages" override, the instance's "messages" option and the message catalog.
+     * @param field
+     * @param type Validation type (see VALIDATION_CONST.TYPE)
+     * @param params Template parameters, in addition to the field's title, min, max,
+     * minItems and maxItems
+     * @returns {string}
+     */
+    getValidationMessage(field, type, params) {
+        const overrides = field[FIELD.MESSAGES] || {};
+        const message =
+            overrides[MessageCatalog.getFieldKey(type)] ||
+            this.messages[type] ||
+            MessageCatalog.get(type);
+        return this.formatValidationMessage(field, message, params);
+    }
+    /**
+     * Replace the placeholders of a message template (e.g. "{title}") with the
+     * properties of the field and the given parameters
+     * @param field
+     * @param message
+     * @param params
+     * @returns {string}
+     */
+    formatValidationMessage(field, message, params) {
+        const minDate = this.getMinDate(field);
+        const maxDate = this.getMaxDate(field);
+        return MessageCatalog.format(message, {
+            title: field[FIELD.TITLE],
+            min: field[FIELD.MIN],
+            max: field[FIELD.MAX],
+            minItems: field[FIELD.MIN_ITEMS],
+            maxItems: field[FIELD.MAX_ITEMS],
+            minLength: field[FIELD.MIN_LENGTH],
+            maxLength: field[FIELD.MAX_LENGTH],
+            minDate: minDate && minDate.format('LL'),
+            maxDate: maxDate && maxDate.format('LL'),
+            ...params
+        });
+    }
+    /**
+     * Get the earliest date allowed by the field's minDate, which is either an
+     * absolute date (ISO 8601) or a date expression, e.g. { type: 'TODAY' }
+     * @param field
+     * @returns {moment|undefined}
+     */
+    getMinDate(field) {
+        return this.__getDateBound(field[FIELD.MIN_DATE]);
+    }
+    /**
+     * Get the latest date allowed by the field's maxDate (see getMinDate)
+     * @param field
+     * @returns {moment|undefined}
+     */
+    getMaxDate(field) {
+        return this.__getDateBound(field[FIELD.MAX_DATE]);
+    }
+    /**
+     * Resolve an absolute date, or evaluate a date expression
+     * @param bound
+     * @returns {moment|undefined}
+     * @private
+     */
+    __getDateBound(bound) {
+        if (!bound) return;
+        const date = _isString(bound)
+            ? moment(bound, moment.ISO_8601)
+            : ExpressionService.evalExpression(bound, this);
+        if (moment.isMoment(date) && date.isValid()) return date;
+    }
+    /**
+     * Determine if an asynchronous validator is in flight for the field
+     * @param id
+     * @returns {boolean}
+     */
+    isFieldPending(id) {
+        return _some(this.asyncValidationRuns[id], run => run.pending);
+    }
+    /**
+     * Cancel the asynchronous validation runs of a field; their results will be ignored
+     * @param id
+     * @private
+     */
+    __cancelAsyncValidation(id) {
+        _forEach(this.asyncValidationRuns[id], run => {
+            run.cancelled = true;
+        });
+        delete this.asyncValidationRuns[id];
     }
     hasError() {
         return this.validationResults.hasError();
     }
+    hasWarning() {
+        return this.validationResults.hasWarning();
+    }
+    /**
+     * Determine whether the last validation allows an action, such as saving
+     * (VALIDATION_CONST.ACTION.SAVE) or submitting (VALIDATION_CONST.ACTION.SUBMIT).
+     * Untouched fields are only checked by validate({ all: true }), so call it first.
+     * @param action
+     * @returns {boolean}
+     */
+    canPerform(action) {
+        return this.validationResults.canPerform(action);
+    }
     getValidationResults() {
         return this.validationResults;
     }
@@ -525,6 +1646,15 @@ class FormEngine {
             }
         });
 
+        // Include the fields of repeatable group rows
+        if (this.isGroupField(field)) {
+            const rowFields = _flatMap(this.getGroupRows(field), row => row.fields);
+            const rowStatus = this.findStatus(rowFields, this.getValidationStatusByTag.bind(this), true);
+            if (ValidationService.isMoreSevereStatus(rowStatus, status)) {
+                status = rowStatus;
+            }
+        }
+
         return status;
     }
     findStatus(list, getStatus, useId) {
@@ -546,9 +1676,15 @@ class FormEngine {
     fieldHasError(id) {
         return ValidationService.isError(this.getValidationStatusByTag(id, true));
     }
+    fieldHasWarning(id) {
+        return ValidationService.isWarning(this.getValidationStatusByTag(id, true));
+    }
     subsectionHasError(subsection) {
         return ValidationService.isError(this.getSubsectionStatus(subsection));
     }
+    subsectionHasWarning(subsection) {
+        return ValidationService.isWarning(this.getSubsectionStatus(subsection));
+    }
     sectionHasError(section) {
         return ValidationService.isError(this.getSectionStatus(section));
     }
@@ -566,6 +1702,11 @@ class FormEngine {
                         }
                     });
                 }
+                if (this.isGroupField(field)) {
+                    this.getGroupRows(field).forEach(row => {
+                        this.__buildFlatFieldList(list, row.fields);
+                    });
+                }
             });
         }
         return list;
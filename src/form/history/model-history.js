@@ -0,0 +1,113 @@
+import { __hasValue } from '../../common';
+
+const DEFAULT_DEPTH = 50;
+
+/**
+ * Transactional undo/redo history for the instance model. Every model write
+ * made while a transaction is open is recorded; when the outermost transaction
+ * is committed, its writes are pushed onto the undo stack as a single step.
+ */
+class ModelHistory {
+    constructor(depth) {
+        this.depth = __hasValue(depth) ? depth : DEFAULT_DEPTH; // Maximum number of undo steps
+        this.undoStack = []; // Each entry is an array of changes
+        this.redoStack = []; // Each entry is an array of changes
+        this.transaction = null; // Changes recorded by the open transaction
+        this.transactionDepth = 0; // Number of nested open transactions
+    }
+
+    /**
+     * Open a transaction. Transactions can be nested; only the
+     * outermost transaction produces a history step.
+     */
+    begin() {
+        if (this.transactionDepth === 0) {
+            this.transaction = [];
+        }
+        this.transactionDepth++;
+    }
+
+    /**
+     * Close a transaction. If this is the outermost transaction, and
+     * changes were recorded, push them onto the undo stack.
+     */
+    commit() {
+        if (this.transactionDepth === 0) return;
+        this.transactionDepth--;
+        if (this.transactionDepth === 0) {
+            const changes = this.transaction;
+            this.transaction = null;
+            if (changes.length > 0) {
+                this.__push(changes);
+            }
+        }
+    }
+
+    /**
+     * Record a model write with the open transaction
+     * @param id
+     * @param oldValue
+     * @param newValue
+     */
+    record(id, oldValue, newValue) {
+        if (this.transaction) {
+            this.transaction.push({ id, oldValue, newValue });
+        }
+    }
+
+    /**
+     * Push a step onto the undo stack, and clear the redo stack
+     * @param changes
+     * @private
+     */
+    __push(changes) {
+        if (this.depth <= 0) return;
+        this.undoStack.push(changes);
+        if (this.undoStack.length > this.depth) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Move the most recent step to the redo stack
+     * @returns {Array|undefined} The changes to revert
+     */
+    undo() {
+        const changes = this.undoStack.pop();
+        if (changes) {
+            this.redoStack.push(changes);
+        }
+        return changes;
+    }
+
+    /**
+     * Move the most recently undone step back to the undo stack
+     * @returns {Array|undefined} The changes to reapply
+     */
+    redo() {
+        const changes = this.redoStack.pop();
+        if (changes) {
+            this.undoStack.push(changes);
+        }
+        return changes;
+    }
+
+    /**
+     * Clear the undo and redo stacks
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+export default ModelHistory;
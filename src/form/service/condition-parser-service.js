@@ -0,0 +1,660 @@
+import _isArray from 'lodash/isArray';
+import _isString from 'lodash/isString';
+import _isNumber from 'lodash/isNumber';
+import _includes from 'lodash/includes';
+import _findKey from 'lodash/findKey';
+import _some from 'lodash/some';
+import _startsWith from 'lodash/startsWith';
+import _endsWith from 'lodash/endsWith';
+
+/**
+ * Compiles textual conditions, such as:
+ *
+ *   age < 18 and country in ["US", "CA"]
+ *
+ * into the condition/expression object tree evaluated by the ExpressionService,
+ * and back again. Identifiers refer to form responses; ids that aren't plain
+ * identifiers (e.g. "str-1") can be wrapped in backticks.
+ *
+ *   condition  := and ("or" and)*
+ *   and        := not ("and" not)*
+ *   not        := "not" not | "(" condition ")" | comparison
+ *   comparison := expression ( ("=" | "==" | "!=" | "<" | "<=" | ">" | ">=") expression
+ *                            | "not"? operator expression
+ *                            | "is" "not"? ("blank" | "empty") )
+ *   operator   := "in" | "contains" | "between" | "matches" | "starts" "with" | "ends" "with"
+ *               | "before" | "after"
+ *   expression := product (("+" | "-") product)*
+ *   product    := term (("*" | "/") term)*
+ *   term       := "(" expression ")" | function "(" arguments ")" | identifier | number | string
+ *               | true | false | null | "[" literals "]"
+ *
+ * A parenthesis that opens a condition is told apart from one that opens an expression
+ * (e.g. "(weight + 2) > 10") by trying the condition first, then the comparison.
+ */
+
+const KEYWORDS = [
+    'and',
+    'or',
+    'not',
+    'in',
+    'is',
+    'contains',
+    'between',
+    'matches',
+    'starts',
+    'ends',
+    'with',
+    'before',
+    'after',
+    'blank',
+    'empty',
+    'true',
+    'false',
+    'null'
+];
+const OPERATORS = ['==', '!=', '<=', '>=', '=', '<', '>', '+', '-', '*', '/', '(', ')', '[', ']', ','];
+const QUOTES = '"\'`';
+// Escaped characters of quoted strings; other escaped characters stand for themselves.
+// Together with "\uXXXX", these are the escapes written by JSON.stringify.
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const LITERALS = { true: true, false: false, null: null };
+const IDENTIFIER = /^[A-Za-z_$][\w$.]*$/;
+
+const COMPARISONS = {
+    '=': { type: 'EQUAL' },
+    '==': { type: 'EQUAL' },
+    '!=': { type: 'EQUAL', not: true },
+    '<': { type: 'LESS_THAN' },
+    '<=': { type: 'LESS_THAN_OR_EQUAL_TO' },
+    '>': { type: 'GREATER_THAN' },
+    '>=': { type: 'GREATER_THAN_OR_EQUAL_TO' }
+};
+
+// Condition types of keyword operators, which can be negated inline (e.g. "not in")
+const KEYWORD_COMPARISONS = {
+    in: 'IN',
+    matches: 'MATCHES',
+    'starts with': 'STARTS_WITH',
+    'ends with': 'ENDS_WITH',
+    before: 'DATE_BEFORE',
+    after: 'DATE_AFTER',
+    between: 'BETWEEN'
+};
+
+// Expression types of arithmetic operators
+const ARITHMETIC = { '+': 'ADD', '-': 'SUBTRACT', '*': 'MULTIPLY', '/': 'DIVIDE' };
+
+// Functions keyed by lowercase name, with their expression type and the properties their
+// arguments are assigned to, in order. Optional parameters end with "?", and a parameter
+// starting with "..." collects the remaining arguments.
+const FUNCTIONS = {
+    length: { type: 'LENGTH', params: ['expression'] },
+    count: { type: 'COUNT', params: ['expression'] },
+    option_value: { type: 'OPTION_VALUE', params: ['expression'] },
+    round: { type: 'ROUND', params: ['expression', 'precision?'] },
+    min: { type: 'MIN', params: ['...expressions'] },
+    max: { type: 'MAX', params: ['...expressions'] },
+    concat: { type: 'CONCAT', params: ['...expressions'] },
+    if: { type: 'IF', params: ['condition', 'then', 'else?'] },
+    now: { type: 'NOW', params: [] },
+    today: { type: 'TODAY', params: [] },
+    date_add: { type: 'DATE_ADD', params: ['expression', 'amount', 'unit?'] },
+    date_diff: { type: 'DATE_DIFF', params: ['expression1', 'expression2', 'unit?'] },
+    age: { type: 'AGE', params: ['expression'] }
+};
+
+// Function parameters that are literals rather than expressions, with their type
+const LITERAL_PARAMS = {
+    precision: { type: 'number', is: _isNumber },
+    unit: { type: 'string', is: _isString }
+};
+
+// Precedence of condition types when stringifying; comparisons bind tightest
+const PRECEDENCE = { OR: 1, AND: 2, NOT: 3 };
+const COMPARISON_PRECEDENCE = 4;
+const EXPRESSION_PRECEDENCE = { ADD: 1, SUBTRACT: 1, MULTIPLY: 2, DIVIDE: 2 };
+const TERM_PRECEDENCE = 3;
+
+/**
+ * Create a syntax error, with the position (offset) of the offending input
+ * @param message
+ * @param position
+ * @returns {Error}
+ */
+function __syntaxError(message, position) {
+    const error = new Error(`${message} at position ${position}`);
+    error.name = 'ConditionSyntaxError';
+    error.position = position;
+    return error;
+}
+
+/**
+ * Combine two operands of an arithmetic operator, extending the left operand if it
+ * is the same operation (e.g. "a - b - c" is a single SUBTRACT of three expressions)
+ * @param type
+ * @param left
+ * @param right
+ * @returns {{type: string, expressions: Array}}
+ */
+function __arithmetic(type, left, right) {
+    const expressions = left.type === type ? left.expressions : [left];
+    return { type, expressions: expressions.concat([right]) };
+}
+
+/**
+ * Parse the parameters of a function
+ * @param fn
+ * @returns {Array} [{ name, optional, rest }]
+ */
+function __functionParams(fn) {
+    return fn.params.map(param => ({
+        name: param.replace(/^\.\.\.|\?$/g, ''),
+        optional: _endsWith(param, '?'),
+        rest: _startsWith(param, '...')
+    }));
+}
+
+/**
+ * Split the text into tokens
+ * @param text
+ * @returns {Array} [{ type, value, position }]
+ */
+function __tokenize(text) {
+    const tokens = [];
+    let position = 0;
+    while (position < text.length) {
+        const char = text[position];
+        const rest = text.substring(position);
+
+        if (/\s/.test(char)) {
+            position++;
+            continue;
+        }
+
+        const number = /^\d+(\.\d+)?/.exec(rest);
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), position });
+            position += number[0].length;
+            continue;
+        }
+
+        if (QUOTES.includes(char)) {
+            const { value, end } = __readQuoted(text, position);
+            tokens.push({ type: char === '`' ? 'identifier' : 'string', value, position });
+            position = end;
+            continue;
+        }
+
+        const word = /^[A-Za-z_$][\w$.]*/.exec(rest);
+        if (word) {
+            const lower = word[0].toLowerCase();
+            tokens.push(
+                _includes(KEYWORDS, lower)
+                    ? { type: 'keyword', value: lower, position }
+                    : { type: 'identifier', value: word[0], position }
+            );
+            position += word[0].length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(each => rest.indexOf(each) === 0);
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position });
+            position += operator.length;
+            continue;
+        }
+
+        throw __syntaxError(`Unexpected character "${char}"`, position);
+    }
+    tokens.push({ type: 'end', position });
+    return tokens;
+}
+
+/**
+ * Read a quoted string or identifier, handling backslash escapes
+ * @param text
+ * @param start Position of the opening quote
+ * @returns {{value: string, end: number}}
+ */
+function __readQuoted(text, start) {
+    const quote = text[start];
+    let value = '';
+    let position = start + 1;
+    while (position < text.length) {
+        const char = text[position];
+        if (char === quote) {
+            return { value, end: position + 1 };
+        }
+        if (char === '\\' && position + 1 < text.length) {
+            const next = text[position + 1];
+            if (next === 'u') {
+                const hex = text.substr(position + 2, 4);
+                if (!/^[0-9A-Fa-f]{4}$/.test(hex)) {
+                    throw __syntaxError('Invalid unicode escape', position);
+                }
+                value += String.fromCharCode(parseInt(hex, 16));
+                position += 6;
+            } else {
+                value += ESCAPES[next] || next;
+                position += 2;
+            }
+        } else {
+            value += char;
+            position++;
+        }
+    }
+    throw __syntaxError('Unterminated string', start);
+}
+
+/**
+ * Recursive descent parser over the tokens of a condition
+ */
+class Parser {
+    constructor(text) {
+        this.tokens = __tokenize(text);
+        this.index = 0;
+    }
+    parse() {
+        const condition = this.parseOr();
+        if (this.peek().type !== 'end') {
+            this.fail(this.peek());
+        }
+        return condition;
+    }
+    peek() {
+        return this.tokens[this.index];
+    }
+    next() {
+        return this.tokens[this.index++];
+    }
+    is(type, value) {
+        const token = this.peek();
+        return token.type === type && (value === undefined || token.value === value);
+    }
+    accept(type, value) {
+        if (this.is(type, value)) {
+            return this.next();
+        }
+    }
+    expect(type, value, description) {
+        const token = this.accept(type, value);
+        if (!token) {
+            this.fail(this.peek(), description || `"${value}"`);
+        }
+        return token;
+    }
+    fail(token, expected) {
+        const found = token.type === 'end' ? 'end of input' : `"${token.value}"`;
+        throw __syntaxError(
+            expected ? `Expected ${expected} but found ${found}` : `Unexpected ${found}`,
+            token.position
+        );
+    }
+    parseOr() {
+        const conditions = [this.parseAnd()];
+        while (this.accept('keyword', 'or')) {
+            conditions.push(this.parseAnd());
+        }
+        return conditions.length === 1 ? conditions[0] : { type: 'OR', conditions };
+    }
+    parseAnd() {
+        const conditions = [this.parseNot()];
+        while (this.accept('keyword', 'and')) {
+            conditions.push(this.parseNot());
+        }
+        return conditions.length === 1 ? conditions[0] : { type: 'AND', conditions };
+    }
+    parseNot() {
+        if (this.accept('keyword', 'not')) {
+            return { type: 'NOT', condition: this.parseNot() };
+        }
+        if (this.is('operator', '(')) {
+            return this.parseGroup();
+        }
+        return this.parseComparison();
+    }
+    parseGroup() {
+        const start = this.index;
+        try {
+            this.next();
+            const condition = this.parseOr();
+            this.expect('operator', ')');
+            return condition;
+        } catch (groupError) {
+            // The parenthesis may open an expression instead
+            this.index = start;
+            try {
+                return this.parseComparison();
+            } catch (comparisonError) {
+                throw comparisonError.position > groupError.position ? comparisonError : groupError;
+            }
+        }
+    }
+    parseComparison() {
+        const left = this.parseExpression();
+        const token = this.peek();
+
+        if (token.type === 'operator' && COMPARISONS[token.value]) {
+            this.next();
+            return {
+                ...COMPARISONS[token.value],
+                expression1: left,
+                expression2: this.parseExpression()
+            };
+        }
+        if (this.accept('keyword', 'is')) {
+            const not = !!this.accept('keyword', 'not');
+            const type = this.is('keyword', 'empty') ? 'EMPTY' : 'BLANK';
+            if (!this.accept('keyword', 'blank') && !this.accept('keyword', 'empty')) {
+                this.fail(this.peek(), '"blank" or "empty"');
+            }
+            return not ? { type, expression: left, not } : { type, expression: left };
+        }
+        if (this.accept('keyword', 'contains')) {
+            return { type: 'CONTAINS', expression1: this.parseExpression(), expression2: left };
+        }
+
+        const not = !!this.accept('keyword', 'not');
+        const operator = this.parseKeywordOperator();
+        if (!operator) {
+            return this.fail(this.peek(), not ? 'an operator' : 'a comparison');
+        }
+        const right = this.parseExpression();
+        if (operator === 'between' && (!_isArray(right.value) || right.value.length !== 2)) {
+            throw __syntaxError('Expected a [min, max] list', token.position);
+        }
+        const condition = { type: KEYWORD_COMPARISONS[operator], expression1: left, expression2: right };
+        return not ? { ...condition, not } : condition;
+    }
+    parseKeywordOperator() {
+        if (this.accept('keyword', 'starts') || this.accept('keyword', 'ends')) {
+            const word = this.tokens[this.index - 1].value;
+            this.expect('keyword', 'with');
+            return `${word} with`;
+        }
+        const token = this.peek();
+        if (token.type === 'keyword' && KEYWORD_COMPARISONS[token.value]) {
+            this.next();
+            return token.value;
+        }
+    }
+    parseExpression() {
+        let expression = this.parseProduct();
+        let operator;
+        while ((operator = this.accept('operator', '+') || this.accept('operator', '-'))) {
+            expression = __arithmetic(ARITHMETIC[operator.value], expression, this.parseProduct());
+        }
+        return expression;
+    }
+    parseProduct() {
+        let expression = this.parseTerm();
+        let operator;
+        while ((operator = this.accept('operator', '*') || this.accept('operator', '/'))) {
+            expression = __arithmetic(ARITHMETIC[operator.value], expression, this.parseTerm());
+        }
+        return expression;
+    }
+    parseTerm() {
+        const token = this.peek();
+        if (this.accept('operator', '(')) {
+            const expression = this.parseExpression();
+            this.expect('operator', ')');
+            return expression;
+        }
+        if (this.accept('identifier')) {
+            if (this.is('operator', '(')) {
+                return this.parseFunction(token);
+            }
+            return { type: 'FORM_RESPONSE', id: token.value };
+        }
+        if (this.is('operator', '[')) {
+            return { type: 'CONST', value: this.parseList() };
+        }
+        return { type: 'CONST', value: this.parseLiteral() };
+    }
+    parseFunction(token) {
+        const fn = FUNCTIONS[token.value.toLowerCase()];
+        if (!fn) {
+            throw __syntaxError(`Unknown function "${token.value}"`, token.position);
+        }
+        const params = __functionParams(fn);
+        const rest = _some(params, 'rest');
+        const args = [];
+        this.expect('operator', '(');
+        if (!this.is('operator', ')')) {
+            do {
+                const param = params[Math.min(args.length, params.length - 1)];
+                args.push(param && param.name === 'condition' ? this.parseOr() : this.parseExpression());
+            } while (this.accept('operator', ','));
+        }
+        this.expect('operator', ')', '"," or ")"');
+
+        const min = params.filter(param => !param.optional).length;
+        const max = rest ? Infinity : params.length;
+        if (args.length < min || args.length > max) {
+            const expected =
+                min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+            throw __syntaxError(
+                `Expected ${expected} argument(s) to "${token.value}" but found ${args.length}`,
+                token.position
+            );
+        }
+
+        const expression = { type: fn.type };
+        params.forEach((param, index) => {
+            const arg = args[index];
+            const literal = LITERAL_PARAMS[param.name];
+            if (param.rest) {
+                expression[param.name] = args.slice(index);
+            } else if (literal && arg) {
+                if (arg.type !== 'CONST' || !literal.is(arg.value)) {
+                    throw __syntaxError(
+                        `Expected the ${param.name} to be a ${literal.type}`,
+                        token.position
+                    );
+                }
+                expression[param.name] = arg.value;
+            } else if (arg) {
+                expression[param.name] = arg;
+            }
+        });
+        return expression;
+    }
+    parseList() {
+        this.expect('operator', '[');
+        const values = [];
+        if (!this.accept('operator', ']')) {
+            do {
+                values.push(this.parseLiteral());
+            } while (this.accept('operator', ','));
+            this.expect('operator', ']', '"," or "]"');
+        }
+        return values;
+    }
+    parseLiteral() {
+        const token = this.peek();
+        if (this.accept('operator', '-')) {
+            return -this.expect('number', undefined, 'a number').value;
+        }
+        if (this.accept('number') || this.accept('string')) {
+            return token.value;
+        }
+        if (token.type === 'keyword' && Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+            this.next();
+            return LITERALS[token.value];
+        }
+        return this.fail(token, 'a value');
+    }
+}
+
+const ConditionParserService = {
+    /**
+     * Parse a textual condition into a condition object
+     * @param text
+     * @returns {{type: string}}
+     * @throws Error with a "position" property if the text is malformed
+     */
+    parse(text) {
+        if (!_isString(text)) {
+            throw new Error('Condition must be a string');
+        }
+        return new Parser(text).parse();
+    },
+    /**
+     * Convert a condition object into text
+     * @param condition
+     * @returns {string}
+     */
+    stringify(condition) {
+        return this.__stringifyCondition(condition, 0);
+    },
+    __stringifyCondition(condition, parentPrecedence) {
+        if (!condition || !condition.type) {
+            throw new Error('Unable to stringify condition: missing type');
+        }
+        const precedence = PRECEDENCE[condition.type] || COMPARISON_PRECEDENCE;
+        let text;
+        switch (condition.type) {
+            case 'AND':
+            case 'OR':
+                text = (condition.conditions || [])
+                    .map(each => this.__stringifyCondition(each, precedence + 1))
+                    .join(` ${condition.type.toLowerCase()} `);
+                break;
+            case 'NOT':
+                text = `not (${this.__stringifyCondition(condition.condition, 0)})`;
+                break;
+            default:
+                text = this.__stringifyComparison(condition);
+        }
+        // The "not" flag can only be expressed inline by some comparisons
+        if (condition.not && !this.__hasInlineNot(condition)) {
+            return `not (${text})`;
+        }
+        return precedence < parentPrecedence ? `(${text})` : text;
+    },
+    __hasInlineNot(condition) {
+        return (
+            _includes(['EQUAL', 'BLANK', 'EMPTY'], condition.type) ||
+            !!_findKey(KEYWORD_COMPARISONS, type => type === condition.type)
+        );
+    },
+    __stringifyComparison(condition) {
+        const { type, not, orEqualTo, expression, expression1, expression2 } = condition;
+        // The syntax has no way to express these options, so refuse rather than drop them
+        if (type === 'MATCHES' && condition.flags) {
+            throw new Error('Unable to stringify condition: MATCHES flags are not supported');
+        }
+        if ((type === 'DATE_BEFORE' || type === 'DATE_AFTER') && condition.unit) {
+            throw new Error(`Unable to stringify condition: ${type} unit is not supported`);
+        }
+        switch (type) {
+            case 'EQUAL':
+                return this.__binary(expression1, not ? '!=' : '=', expression2);
+            case 'LESS_THAN':
+                return this.__binary(expression1, orEqualTo ? '<=' : '<', expression2);
+            case 'LESS_THAN_OR_EQUAL_TO':
+                return this.__binary(expression1, '<=', expression2);
+            case 'GREATER_THAN':
+                return this.__binary(expression1, orEqualTo ? '>=' : '>', expression2);
+            case 'GREATER_THAN_OR_EQUAL_TO':
+                return this.__binary(expression1, '>=', expression2);
+            case 'CONTAINS':
+                return this.__binary(expression2, 'contains', expression1);
+            case 'BLANK':
+            case 'EMPTY':
+                return `${this.stringifyExpression(expression)} is ${
+                    not ? 'not ' : ''
+                }${type.toLowerCase()}`;
+            default: {
+                const operator = _findKey(KEYWORD_COMPARISONS, each => each === type);
+                if (!operator) {
+                    throw new Error(`Unable to stringify condition type: ${type}`);
+                }
+                return this.__binary(expression1, not ? `not ${operator}` : operator, expression2);
+            }
+        }
+    },
+    __binary(left, operator, right) {
+        return `${this.stringifyExpression(left)} ${operator} ${this.stringifyExpression(right)}`;
+    },
+    /**
+     * Convert an expression object into text
+     * @param expression
+     * @returns {string}
+     */
+    stringifyExpression(expression) {
+        if (!expression || !expression.type) {
+            throw new Error('Unable to stringify expression: missing type');
+        }
+        switch (expression.type) {
+            case 'FORM_RESPONSE': {
+                const id = String(expression.id);
+                return IDENTIFIER.test(id) && !_includes(KEYWORDS, id.toLowerCase())
+                    ? id
+                    : `\`${id.replace(/[\\`]/g, '\\$&')}\``;
+            }
+            case 'CONST':
+                return _isArray(expression.value)
+                    ? `[${expression.value.map(value => this.__stringifyLiteral(value)).join(', ')}]`
+                    : this.__stringifyLiteral(expression.value);
+            case 'ADD':
+            case 'SUBTRACT':
+            case 'MULTIPLY':
+            case 'DIVIDE':
+                return this.__stringifyArithmetic(expression);
+            default:
+                return this.__stringifyFunction(expression);
+        }
+    },
+    __stringifyArithmetic(expression) {
+        const precedence = EXPRESSION_PRECEDENCE[expression.type];
+        const operator = _findKey(ARITHMETIC, type => type === expression.type);
+        return (expression.expressions || [])
+            .map((each, index) => {
+                const text = this.stringifyExpression(each);
+                const childPrecedence = EXPRESSION_PRECEDENCE[each.type] || TERM_PRECEDENCE;
+                // Operations are left-associative, so only the first operand can be of equal precedence
+                const grouped =
+                    index === 0 ? childPrecedence < precedence : childPrecedence <= precedence;
+                return grouped ? `(${text})` : text;
+            })
+            .join(` ${operator} `);
+    },
+    __stringifyFunction(expression) {
+        const name = _findKey(FUNCTIONS, fn => fn.type === expression.type);
+        if (!name) {
+            throw new Error(`Unable to stringify expression type: ${expression.type}`);
+        }
+        const args = [];
+        __functionParams(FUNCTIONS[name]).forEach(param => {
+            const value = expression[param.name];
+            if (param.rest) {
+                (value || []).forEach(each => args.push(this.stringifyExpression(each)));
+            } else if (value !== undefined) {
+                args.push(this.__stringifyArgument(param.name, value));
+            }
+        });
+        return `${name}(${args.join(', ')})`;
+    },
+    __stringifyArgument(name, value) {
+        if (name === 'condition') {
+            return this.__stringifyCondition(value, 0);
+        }
+        return LITERAL_PARAMS[name] ? this.__stringifyLiteral(value) : this.stringifyExpression(value);
+    },
+    __stringifyLiteral(value) {
+        if (
+            _isString(value) ||
+            typeof value === 'number' ||
+            typeof value === 'boolean' ||
+            value === null
+        ) {
+            return JSON.stringify(value);
+        }
+        throw new Error(`Unable to stringify value: ${value}`);
+    }
+};
+
+export default ConditionParserService;
@@ -4,11 +4,26 @@ import _isEmpty from 'lodash/isEmpty';
 import _includes from 'lodash/includes';
 import _filter from 'lodash/filter';
 import _forEach from 'lodash/forEach';
+import _uniq from 'lodash/uniq';
+import _every from 'lodash/every';
+import _some from 'lodash/some';
+import _isString from 'lodash/isString';
+import _isRegExp from 'lodash/isRegExp';
+import _startsWith from 'lodash/startsWith';
+import _endsWith from 'lodash/endsWith';
+import _map from 'lodash/map';
+import _find from 'lodash/find';
+import _flatMap from 'lodash/flatMap';
+import _castArray from 'lodash/castArray';
+import _mapValues from 'lodash/mapValues';
+import moment from 'moment';
 
-function _getConstComparisonCondition(type, val1, val2, orEqualTo) {
+import ConditionParserService from './condition-parser-service';
+import { DATA_TYPE } from '../config/form-const';
+
+function _getConstComparisonCondition(type, val1, val2) {
     return {
         type: type,
-        orEqualTo,
         expression1: {
             type: 'CONST',
             value: val1
@@ -21,6 +36,17 @@ function _getConstComparisonCondition(type, val1, val2, orEqualTo) {
 }
 
 const conditionEvaluators = {
+    // Met if every nested condition is met; stops at the first that isn't
+    AND: (service, condition, instance) => {
+        return _every(condition.conditions, each => service.evalCondition(each, instance));
+    },
+    // Met if any nested condition is met; stops at the first that is
+    OR: (service, condition, instance) => {
+        return _some(condition.conditions, each => service.evalCondition(each, instance));
+    },
+    NOT: (service, condition, instance) => {
+        return !service.evalCondition(condition.condition, instance);
+    },
     BETWEEN: (service, condition, instance) => {
         const val1 = service.evalExpression(condition.expression1, instance);
         const val2 = service.evalExpression(condition.expression2, instance);
@@ -28,11 +54,11 @@ const conditionEvaluators = {
         let conditionMet = false;
         if (_isArray(val2) && val2.length === 2) {
             const isGreaterThan = service.evalCondition(
-                _getConstComparisonCondition('GREATER_THAN', val1, val2[0], true),
+                _getConstComparisonCondition('GREATER_THAN_OR_EQUAL_TO', val1, val2[0]),
                 instance
             );
             const isLessThan = service.evalCondition(
-                _getConstComparisonCondition('LESS_THAN', val1, val2[1], true),
+                _getConstComparisonCondition('LESS_THAN_OR_EQUAL_TO', val1, val2[1]),
                 instance
             );
             if (isGreaterThan && isLessThan) {
@@ -69,41 +95,157 @@ const conditionEvaluators = {
 
         let conditionMet = false;
         if (__hasValue(val1) && __hasValue(val2)) {
-            conditionMet = val1 === val2;
+            // Dates are equal if they represent the same moment
+            conditionMet =
+                __isDate(val1) || __isDate(val2) ? __compare(val1, val2) === 0 : val1 === val2;
         }
 
         return conditionMet;
     },
-    // TODO: Create a GREATER_THAN_OR_EQUAL_TO expression?
     GREATER_THAN: (service, condition, instance) => {
-        const diff = evalNumberCondition(service, condition, instance);
+        const diff = evalComparison(service, condition, instance);
         if (__hasValue(diff)) {
-            return condition.orEqualTo ? diff <= 0 : diff < 0;
+            return condition.orEqualTo ? diff >= 0 : diff > 0;
+        }
+    },
+    GREATER_THAN_OR_EQUAL_TO: (service, condition, instance) => {
+        const diff = evalComparison(service, condition, instance);
+        if (__hasValue(diff)) {
+            return diff >= 0;
         }
     },
-    // TODO: Create a LESS_THAN_OR_EQUAL_TO expression?
     LESS_THAN: (service, condition, instance) => {
-        const diff = evalNumberCondition(service, condition, instance);
+        const diff = evalComparison(service, condition, instance);
         if (__hasValue(diff)) {
-            return condition.orEqualTo ? diff >= 0 : diff > 0;
+            return condition.orEqualTo ? diff <= 0 : diff < 0;
+        }
+    },
+    LESS_THAN_OR_EQUAL_TO: (service, condition, instance) => {
+        const diff = evalComparison(service, condition, instance);
+        if (__hasValue(diff)) {
+            return diff <= 0;
+        }
+    },
+    // Met if expression1 is one of the values of expression2; if expression1
+    // is an array (e.g. multiple selections), if any of its values is
+    IN: (service, condition, instance) => {
+        const val1 = service.evalExpression(condition.expression1, instance);
+        const val2 = service.evalExpression(condition.expression2, instance);
+
+        if (!__hasValue(val1) || !_isArray(val2)) return false;
+        return _isArray(val1) ? _some(val1, value => _includes(val2, value)) : _includes(val2, val1);
+    },
+    // Met if expression1 matches the regular expression (or pattern string) of expression2
+    MATCHES: (service, condition, instance) => {
+        const val1 = service.evalExpression(condition.expression1, instance);
+        const val2 = service.evalExpression(condition.expression2, instance);
+
+        if (!__hasValue(val1) || !__hasValue(val2)) return false;
+        try {
+            const regex = _isRegExp(val2) ? val2 : new RegExp(val2, condition.flags);
+            return regex.test(String(val1));
+        } catch (e) {
+            console.warn('Cannot perform operation. Invalid regular expression: ', condition);
+            return false;
         }
+    },
+    STARTS_WITH: (service, condition, instance) => {
+        const val1 = service.evalExpression(condition.expression1, instance);
+        const val2 = service.evalExpression(condition.expression2, instance);
+
+        if (!__hasValue(val1) || !__hasValue(val2)) return false;
+        return _startsWith(String(val1), String(val2));
+    },
+    ENDS_WITH: (service, condition, instance) => {
+        const val1 = service.evalExpression(condition.expression1, instance);
+        const val2 = service.evalExpression(condition.expression2, instance);
+
+        if (!__hasValue(val1) || !__hasValue(val2)) return false;
+        return _endsWith(String(val1), String(val2));
+    },
+    // Met if the date of expression1 is before that of expression2. Set
+    // "unit" (e.g. "day") to ignore differences smaller than the unit.
+    DATE_BEFORE: (service, condition, instance) => {
+        const diff = evalDateComparison(service, condition, instance);
+        return __hasValue(diff) && diff < 0;
+    },
+    DATE_AFTER: (service, condition, instance) => {
+        const diff = evalDateComparison(service, condition, instance);
+        return __hasValue(diff) && diff > 0;
     }
 };
 
-function evalNumberCondition(service, condition, instance) {
-    let diff;
-    const val1 = service.evalExpression(condition.expression1, instance);
-    const val2 = service.evalExpression(condition.expression2, instance);
+/**
+ * Determine whether the value is a date (a moment or a Date)
+ * @param value
+ * @returns {boolean}
+ */
+function __isDate(value) {
+    return moment.isMoment(value) || value instanceof Date;
+}
+
+/**
+ * Convert a value to a moment. Strings must be ISO 8601.
+ * @param value
+ * @returns {moment|undefined} Undefined if the value isn't a valid date
+ */
+function __toMoment(value) {
+    if (!__hasValue(value) || (!__isDate(value) && !_isString(value))) return;
+    const date = _isString(value) ? moment(value, moment.ISO_8601) : moment(value);
+    return date.isValid() ? date : undefined;
+}
+
+/**
+ * Compare two dates
+ * @param val1
+ * @param val2
+ * @param unit Optional granularity (e.g. "day")
+ * @returns {number|undefined} Negative if val1 is before val2, positive if after,
+ * 0 if the same, or undefined if either isn't a date
+ */
+function __compareDates(val1, val2, unit) {
+    const date1 = __toMoment(val1);
+    const date2 = __toMoment(val2);
+    if (!date1 || !date2) return;
+    if (date1.isBefore(date2, unit)) return -1;
+    return date1.isAfter(date2, unit) ? 1 : 0;
+}
+
+/**
+ * Compare two values based on their types: dates chronologically, numbers
+ * (or numeric strings) numerically, and other strings lexicographically
+ * @param val1
+ * @param val2
+ * @returns {number|undefined} Negative if val1 < val2, positive if val1 > val2,
+ * 0 if equal, or undefined if the values can't be compared
+ */
+function __compare(val1, val2) {
+    if (!__hasValue(val1) || !__hasValue(val2)) return;
+    if (__isDate(val1) || __isDate(val2)) {
+        return __compareDates(val1, val2);
+    }
 
     const num1 = parseFloat(val1);
-    if (!Number.isNaN(num1)) {
-        const num2 = parseFloat(val2);
-        if (!Number.isNaN(num2)) {
-            diff = num2 - num1;
-        }
+    const num2 = parseFloat(val2);
+    if (!Number.isNaN(num1) && !Number.isNaN(num2)) {
+        return num1 - num2;
     }
 
-    return diff;
+    if (_isString(val1) && _isString(val2)) {
+        return val1 < val2 ? -1 : val1 > val2 ? 1 : 0;
+    }
+}
+
+function evalComparison(service, condition, instance) {
+    const val1 = service.evalExpression(condition.expression1, instance);
+    const val2 = service.evalExpression(condition.expression2, instance);
+    return __compare(val1, val2);
+}
+
+function evalDateComparison(service, condition, instance) {
+    const val1 = service.evalExpression(condition.expression1, instance);
+    const val2 = service.evalExpression(condition.expression2, instance);
+    return __compareDates(val1, val2, condition.unit);
 }
 
 const expressionEvaluators = {
@@ -118,10 +260,16 @@ const expressionEvaluators = {
 
         _forEach(expression.expressions, exp => {
             // TODO: Maybe this becomes FORM_RESPONSE_VALUE?
-            const field = instance.getField(exp.id);
+            const field = service.isFormResponseExpression(exp) ? instance.getField(exp.id) : null;
             const formResponses = service.evalExpression(exp, instance);
 
-            if (!_isEmpty(formResponses)) {
+            // Add plain numeric values (e.g. number fields, or constants)
+            if (!field || _isEmpty(field.options)) {
+                const valueToAdd = parseFloat(formResponses);
+                if (!Number.isNaN(valueToAdd)) {
+                    sum += valueToAdd;
+                }
+            } else if (!_isEmpty(formResponses)) {
                 const selections = _filter(field.options, option => {
                     return _includes(formResponses, option.id);
                 });
@@ -136,14 +284,204 @@ const expressionEvaluators = {
             }
         });
         return sum;
+    },
+    // Number of items of an array (e.g. selections, or group rows), or characters of a string
+    LENGTH: (service, expression, instance) => {
+        const value = service.evalExpression(expression.expression, instance);
+        return _isArray(value) || _isString(value) ? value.length : 0;
+    },
+    SUBTRACT: (service, expression, instance) => {
+        return __reduceNumbers(service, expression, instance, (a, b) => a - b);
+    },
+    MULTIPLY: (service, expression, instance) => {
+        return __reduceNumbers(service, expression, instance, (a, b) => a * b);
+    },
+    DIVIDE: (service, expression, instance) => {
+        return __reduceNumbers(service, expression, instance, (a, b) => a / b);
+    },
+    // Round to "precision" decimal places (defaults to 0)
+    ROUND: (service, expression, instance) => {
+        const value = __evalNumber(service, expression.expression, instance);
+        if (Number.isNaN(value)) return;
+        const factor = Math.pow(10, expression.precision || 0);
+        return Math.round(value * factor) / factor;
+    },
+    MIN: (service, expression, instance) => {
+        const values = __evalNumberList(service, expression, instance);
+        return values.length ? Math.min(...values) : undefined;
+    },
+    MAX: (service, expression, instance) => {
+        const values = __evalNumberList(service, expression, instance);
+        return values.length ? Math.max(...values) : undefined;
+    },
+    // Number of selected items: the length of an array, otherwise 1 if there is a value
+    COUNT: (service, expression, instance) => {
+        const value = service.evalExpression(expression.expression, instance);
+        if (_isArray(value)) return value.length;
+        return __isBlank(value) || value === false ? 0 : 1;
+    },
+    // The "value" of the selected option of a single-select (or boolean) form response
+    OPTION_VALUE: (service, expression, instance) => {
+        const field = service.isFormResponseExpression(expression.expression)
+            ? instance.getField(expression.expression.id)
+            : null;
+        const value = service.evalExpression(expression.expression, instance);
+        if (!field || !__hasValue(value)) return;
+
+        // The first option of a boolean field is affirmative
+        const option =
+            field.type === DATA_TYPE.BOOLEAN
+                ? (field.options || [])[value ? 0 : 1]
+                : _find(field.options, each => each.id === value);
+        return option ? option.value : undefined;
+    },
+    CONCAT: (service, expression, instance) => {
+        return _map(expression.expressions, each => {
+            const value = service.evalExpression(each, instance);
+            if (!__hasValue(value)) return '';
+            if (moment.isMoment(value)) return value.format();
+            return _isArray(value) ? value.join(', ') : String(value);
+        }).join('');
+    },
+    // Evaluates "then" if the condition is met, otherwise "else" (if any)
+    IF: (service, expression, instance) => {
+        const branch = service.evalCondition(expression.condition, instance)
+            ? expression.then
+            : expression.else;
+        return branch ? service.evalExpression(branch, instance) : undefined;
+    },
+    // The current date and time of the instance's clock
+    NOW: (service, expression, instance) => {
+        return __now(instance);
+    },
+    TODAY: (service, expression, instance) => {
+        return __now(instance).startOf('day');
+    },
+    // Adds "amount" of "unit" (defaults to days) to the date; a negative amount subtracts
+    DATE_ADD: (service, expression, instance) => {
+        const date = __toMoment(service.evalExpression(expression.expression, instance));
+        const amount = __evalNumber(service, expression.amount, instance);
+        const unit = moment.normalizeUnits(expression.unit || 'days');
+        if (!date || Number.isNaN(amount) || !unit) return;
+        return date.add(amount, unit);
+    },
+    // The number of whole "unit"s (defaults to days) from the date expression1 to expression2
+    DATE_DIFF: (service, expression, instance) => {
+        const date1 = __toMoment(service.evalExpression(expression.expression1, instance));
+        const date2 = __toMoment(service.evalExpression(expression.expression2, instance));
+        const unit = moment.normalizeUnits(expression.unit || 'days');
+        if (!date1 || !date2 || !unit) return;
+        return date2.diff(date1, unit);
+    },
+    // The number of whole years from the date until now
+    AGE: (service, expression, instance) => {
+        const date = __toMoment(service.evalExpression(expression.expression, instance));
+        return date ? __now(instance).diff(date, 'years') : undefined;
     }
 };
 
+/**
+ * Get the current time of the instance's clock
+ * @param instance
+ * @returns {moment}
+ */
+function __now(instance) {
+    return instance ? instance.getCurrentTime() : moment();
+}
+
+/**
+ * Evaluate an expression as a number
+ * @returns {number} NaN if the value isn't numeric
+ */
+function __evalNumber(service, expression, instance) {
+    const value = service.evalExpression(expression, instance);
+    return __hasValue(value) ? parseFloat(value) : NaN;
+}
+
+/**
+ * Evaluate a list of expressions as numbers, including the items of array values,
+ * and ignoring values that aren't numeric
+ * @returns {Array}
+ */
+function __evalNumberList(service, expression, instance) {
+    return _flatMap(expression.expressions, each => _castArray(service.evalExpression(each, instance)))
+        .filter(__hasValue)
+        .map(value => parseFloat(value))
+        .filter(value => !Number.isNaN(value));
+}
+
+/**
+ * Reduce a list of expressions with an arithmetic operation, from left to right
+ * @returns {number|undefined} Undefined if any value isn't numeric, or the result
+ * isn't finite (e.g. division by zero)
+ */
+function __reduceNumbers(service, expression, instance, operation) {
+    const values = _map(expression.expressions, each => __evalNumber(service, each, instance));
+    if (_isEmpty(values) || _some(values, value => Number.isNaN(value))) return;
+    const result = values.reduce(operation);
+    return Number.isFinite(result) ? result : undefined;
+}
+
+/**
+ * Explain the nested conditions and expressions of a node
+ * @returns {Object} A copy of the node
+ */
+function __explainChildren(service, node, instance) {
+    if (node.type === 'CONST') return { ...node };
+    return _mapValues(node, (value, key) => {
+        const explain = _includes(['condition', 'conditions'], key)
+            ? each => service.explainCondition(each, instance)
+            : each => service.explainExpression(each, instance);
+        if (_isArray(value)) {
+            return _every(value, __isNode) ? value.map(explain) : value;
+        }
+        return __isNode(value) ? explain(value) : value;
+    });
+}
+
+function __isNode(value) {
+    return !!value && _isString(value.type);
+}
+
+/**
+ * Convert a condition or expression into text, if possible
+ * @param stringify
+ * @returns {string|undefined}
+ */
+function __tryStringify(stringify) {
+    try {
+        return stringify();
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function __collectFormResponseIds(service, node, ids) {
+    if (Array.isArray(node)) {
+        node.forEach(each => __collectFormResponseIds(service, each, ids));
+    } else if (node && typeof node === 'object' && node.type !== 'CONST') {
+        if (service.isFormResponseExpression(node)) {
+            ids.push(node.id);
+        }
+        Object.keys(node).forEach(key => __collectFormResponseIds(service, node[key], ids));
+    }
+    return ids;
+}
+
 const ExpressionService = {
     isFormResponseExpression(expression) {
         if (!expression || !expression.type) return false;
         return expression.type === 'FORM_RESPONSE';
     },
+    /**
+     * Return the ids of every form response referenced anywhere
+     * within a condition or expression tree
+     * @param conditionOrExpression
+     * @returns {Array}
+     */
+    getFormResponseIds(conditionOrExpression) {
+        return _uniq(__collectFormResponseIds(this, conditionOrExpression, []));
+    },
     evalCondition(condition, instance) {
         const evaluator = conditionEvaluators[condition.type];
         if (!evaluator) {
@@ -163,6 +501,35 @@ const ExpressionService = {
             throw new Error(`Unmapped expression evaluator: ${expression.type}`);
         }
         return evaluator(this, expression, instance);
+    },
+    /**
+     * Evaluate a condition, explaining the result of each nested condition and the
+     * value of each expression. The explanation has the same shape as the condition,
+     * where each condition is extended with its "result" and each expression with its
+     * "value", and both with their textual "text" (if they can be written as text).
+     * @param condition
+     * @param instance
+     * @returns {{type: string, result: boolean, text: string}}
+     */
+    explainCondition(condition, instance) {
+        return {
+            ...__explainChildren(this, condition, instance),
+            text: __tryStringify(() => ConditionParserService.stringify(condition)),
+            result: !!this.evalCondition(condition, instance)
+        };
+    },
+    /**
+     * Evaluate an expression, explaining the value of each nested expression
+     * @param expression
+     * @param instance
+     * @returns {{type: string, value: *, text: string}}
+     */
+    explainExpression(expression, instance) {
+        return {
+            ...__explainChildren(this, expression, instance),
+            text: __tryStringify(() => ConditionParserService.stringifyExpression(expression)),
+            value: this.evalExpression(expression, instance)
+        };
     }
 };
 
@@ -1,8 +1,10 @@
 import Maybe from 'maybe-baby';
 import apiCheck from 'api-check';
 
-import { PROPERTY } from '../config/form-const';
-const { FIELD, SECTION, SUBSECTION, DEFINITION } = PROPERTY;
+import _values from 'lodash/values';
+
+import { PROPERTY, VALIDATION_CONST } from '../config/form-const';
+const { FIELD, SECTION, SUBSECTION, DEFINITION, RULE } = PROPERTY;
 
 // Configure api-check
 const validator = apiCheck({ output: { prefix: 'FormEngine:' } });
@@ -20,10 +22,40 @@ const FormApiService = {
                     [FIELD.FIELDS]: validator.array.optional,
                     [FIELD.MIN]: validator.number.optional,
                     [FIELD.MAX]: validator.number.optional,
+                    [FIELD.MIN_ITEMS]: validator.number.optional,
+                    [FIELD.MAX_ITEMS]: validator.number.optional,
+                    [FIELD.MIN_LENGTH]: validator.number.optional,
+                    [FIELD.MAX_LENGTH]: validator.number.optional,
+                    [FIELD.MIN_DATE]: validator.oneOfType([validator.string, validator.object]).optional,
+                    [FIELD.MAX_DATE]: validator.oneOfType([validator.string, validator.object]).optional,
                     [FIELD.REQUIRED]: validator.bool.optional,
                     [FIELD.PLACEHOLDER]: validator.string.optional,
                     [FIELD.PATTERN]: validator.string.optional,
-                    [FIELD.SHOW_CONDITION]: validator.object.optional
+                    [FIELD.SHOW_CONDITION]: validator.oneOfType([validator.object, validator.string])
+                        .optional,
+                    [FIELD.REQUIRED_CONDITION]: validator.oneOfType([validator.object, validator.string])
+                        .optional,
+                    [FIELD.READ_ONLY]: validator.bool.optional,
+                    [FIELD.READ_ONLY_CONDITION]: validator.oneOfType([
+                        validator.object,
+                        validator.string
+                    ]).optional,
+                    [FIELD.DISABLED_CONDITION]: validator.oneOfType([validator.object, validator.string])
+                        .optional,
+                    [FIELD.CALCULATION]: validator.object.optional,
+                    [FIELD.SERIALIZE]: validator.bool.optional,
+                    [FIELD.MESSAGES]: validator.objectOf(
+                        validator.oneOfType([validator.string, validator.func])
+                    ).optional,
+                    [FIELD.VALIDATORS]: validator.arrayOf(
+                        validator.shape({
+                            name: validator.string,
+                            params: validator.any.optional,
+                            message: validator.string.optional,
+                            status: validator.oneOf(_values(VALIDATION_CONST.STATUS)).optional,
+                            actions: validator.arrayOf(validator.string).optional
+                        })
+                    ).optional
                 })
             ],
             arguments,
@@ -57,7 +89,17 @@ const FormApiService = {
                             )
                         }).strict
                     ),
-                    [DEFINITION.DECORATORS]: validator.object.optional
+                    [DEFINITION.DECORATORS]: validator.object.optional,
+                    [DEFINITION.RULES]: validator.arrayOf(
+                        validator.shape({
+                            [RULE.ID]: validator.string.optional,
+                            [RULE.CONDITION]: validator.oneOfType([validator.object, validator.string]),
+                            [RULE.MESSAGE]: validator.string,
+                            [RULE.STATUS]: validator.oneOf(_values(VALIDATION_CONST.STATUS)).optional,
+                            [RULE.ACTIONS]: validator.arrayOf(validator.string).optional,
+                            [RULE.FIELDS]: validator.arrayOf(validator.string)
+                        }).strict
+                    ).optional
                 }).strict
             ],
             arguments,
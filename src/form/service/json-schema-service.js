@@ -0,0 +1,832 @@
+import _get from 'lodash/get';
+import _map from 'lodash/map';
+import _forEach from 'lodash/forEach';
+import _isArray from 'lodash/isArray';
+import _isEmpty from 'lodash/isEmpty';
+import _includes from 'lodash/includes';
+import _startCase from 'lodash/startCase';
+import _isPlainObject from 'lodash/isPlainObject';
+import _isString from 'lodash/isString';
+import _escapeRegExp from 'lodash/escapeRegExp';
+
+import { __hasValue } from '../../common';
+import { DATA_TYPE, COMPONENT_TYPE, PROPERTY, SERIALIZATION_VERSION } from '../config/form-const';
+
+const { FIELD } = PROPERTY;
+
+/**
+ * Comparisons keyed by type, for when the operands are swapped (e.g. 5 < x is x > 5).
+ * CONTAINS checks that expression2 contains expression1, so when the response is
+ * expression2, it checks that the response includes the constant.
+ */
+const REVERSED_COMPARISONS = {
+    GREATER_THAN: 'LESS_THAN',
+    LESS_THAN: 'GREATER_THAN',
+    GREATER_THAN_OR_EQUAL_TO: 'LESS_THAN_OR_EQUAL_TO',
+    LESS_THAN_OR_EQUAL_TO: 'GREATER_THAN_OR_EQUAL_TO',
+    CONTAINS: 'INCLUDES'
+};
+
+const DRAFT_07 = 'http://json-schema.org/draft-07/schema#';
+const DEFAULT_ID = 'json-schema-form';
+const DEFAULT_TITLE = 'Form';
+const ROOT_SECTION_ID = '__root-section';
+const ROOT_SUBSECTION_ID = '__root-subsection';
+const SUBSECTION_ID_SUFFIX = '__subsection';
+
+/**
+ * Component types keyed by uiSchema "ui:widget" name. Unknown widget names
+ * are passed through as-is, so custom components can be referenced.
+ */
+const WIDGETS = {
+    text: COMPONENT_TYPE.TEXT,
+    textarea: COMPONENT_TYPE.TEXTAREA,
+    password: COMPONENT_TYPE.PASSWORD,
+    select: COMPONENT_TYPE.SELECT,
+    radio: COMPONENT_TYPE.RADIO,
+    checkbox: COMPONENT_TYPE.CHECKBOX,
+    checkboxes: COMPONENT_TYPE.CHECKBOXGROUP,
+    range: COMPONENT_TYPE.RANGE,
+    updown: COMPONENT_TYPE.NUMBER,
+    date: COMPONENT_TYPE.DATE
+};
+
+/**
+ * Resolve a local reference (e.g. "#/definitions/address")
+ * @param root
+ * @param schema
+ * @returns {*}
+ */
+function __resolve(root, schema) {
+    if (!schema || !schema.$ref) return schema || {};
+    if (schema.$ref.indexOf('#/') !== 0) {
+        console.warn(`Unsupported JSON Schema reference: ${schema.$ref}`);
+        return {};
+    }
+    const path = schema.$ref
+        .substring(2)
+        .split('/')
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    return __resolve(root, _get(root, path));
+}
+
+/**
+ * Get the type of a schema, ignoring "null" in type unions
+ * @param schema
+ * @returns {string}
+ */
+function __getType(schema) {
+    if (_isArray(schema.type)) {
+        return schema.type.filter(type => type !== 'null')[0];
+    }
+    if (!schema.type && schema.properties) {
+        return 'object';
+    }
+    return schema.type;
+}
+
+function __getId(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function __getTitle(schema, key) {
+    return schema.title || _startCase(key);
+}
+
+function __formResponse(id) {
+    return { type: 'FORM_RESPONSE', id };
+}
+
+function __isFormResponse(expression) {
+    return !!expression && expression.type === 'FORM_RESPONSE';
+}
+
+function __isConst(expression) {
+    return !!expression && expression.type === 'CONST';
+}
+
+function __const(value) {
+    return { type: 'CONST', value };
+}
+
+/**
+ * Combine conditions with AND (or OR). Returns undefined if there are no
+ * conditions, or if any of them could not be converted.
+ * @param conditions
+ * @param type
+ * @returns {*}
+ */
+function __combine(conditions, type = 'AND') {
+    if (_isEmpty(conditions) || !conditions.every(condition => condition)) return;
+    return conditions.length === 1 ? conditions[0] : { type, conditions };
+}
+
+/**
+ * Schema that is satisfied when the property is present and matches the given schema
+ * @param id
+ * @param schema
+ * @returns {{properties: {}, required: Array}}
+ */
+function __propertySchema(id, schema) {
+    return { properties: { [id]: schema }, required: [id] };
+}
+
+/**
+ * Converts JSON Schema (draft-07) into form definitions. Properties of the root
+ * object become fields; object properties of the root become sections, and their
+ * object properties become subsections. Deeper objects are flattened into the
+ * enclosing subsection, and arrays of objects become repeatable groups. Field
+ * ids are the dot-separated path of the property (e.g. "address.street").
+ *
+ * Also describes the serialized model of an instance as JSON Schema, so that
+ * submitted payloads can be validated independently of the UI.
+ */
+const JsonSchemaService = {
+    /**
+     * Convert a JSON Schema into a form definition
+     * @param schema
+     * @param uiSchema Optional UI schema, keyed by property (e.g. "ui:widget", "ui:help", "ui:placeholder")
+     * @returns {{id: string, title: string, sections: Array}}
+     */
+    toDefinition(schema, uiSchema = {}) {
+        if (!_isPlainObject(schema)) {
+            throw new Error('schema must be an object');
+        }
+        const root = __resolve(schema, schema);
+        const id = schema.$id || schema.id || DEFAULT_ID;
+        const title = root.title || DEFAULT_TITLE;
+
+        const context = { root: schema, fields: {}, decorators: {} };
+        const rootSection = { id: ROOT_SECTION_ID, title, subsections: [] };
+        const rootSubsection = { id: ROOT_SUBSECTION_ID, title, fields: [] };
+        const sections = [];
+
+        this.__convertObject(context, root, '', uiSchema, {
+            level: 0,
+            sections,
+            fields: rootSubsection.fields
+        });
+
+        if (!_isEmpty(rootSubsection.fields)) {
+            rootSection.subsections.push(rootSubsection);
+            sections.unshift(rootSection);
+        }
+
+        const definition = { id, title, sections };
+        if (root.description) {
+            definition.subtitle = root.description;
+        }
+        if (!_isEmpty(context.decorators)) {
+            definition.decorators = context.decorators;
+        }
+        return definition;
+    },
+    /**
+     * Convert the properties of an object schema, along with any conditionals
+     * @param context
+     * @param schema
+     * @param path
+     * @param uiSchema
+     * @param scope Where to add sections, subsections and fields
+     * @private
+     */
+    __convertObject(context, schema, path, uiSchema, scope) {
+        _forEach(schema.properties, (property, key) => {
+            this.__convertProperty(context, schema, key, property, path, uiSchema, scope);
+        });
+        [schema, ...(schema.allOf || [])].forEach(each => {
+            const conditional = __resolve(context.root, each);
+            if (conditional.if) {
+                this.__convertConditional(context, conditional, path, uiSchema, scope);
+            }
+        });
+    },
+    /**
+     * Convert a property into a section, subsection, or field(s)
+     * @private
+     */
+    __convertProperty(context, parent, key, property, path, uiSchema, scope) {
+        const schema = __resolve(context.root, property);
+        const id = __getId(path, key);
+        const ui = (uiSchema && uiSchema[key]) || {};
+
+        if (__getType(schema) !== 'object') {
+            const field = this.__toField(context, id, key, schema, ui, _includes(parent.required, key));
+            if (field) {
+                context.fields[id] = field;
+                scope.fields.push(field);
+            }
+            return;
+        }
+
+        const title = ui['ui:title'] || __getTitle(schema, key);
+        if (scope.level === 0) {
+            // Objects of the root become sections, with a subsection for their own fields
+            const section = { id, title, subsections: [] };
+            const subsection = { id: `${id}${SUBSECTION_ID_SUFFIX}`, title, fields: [] };
+            this.__convertObject(context, schema, id, ui, {
+                level: 1,
+                section,
+                fields: subsection.fields
+            });
+            if (!_isEmpty(subsection.fields)) {
+                section.subsections.unshift(subsection);
+            }
+            if (schema.description) {
+                section.subtitle = schema.description;
+            }
+            scope.sections.push(section);
+        } else if (scope.level === 1) {
+            // Objects of sections become subsections
+            const subsection = { id, title, fields: [] };
+            if (schema.description) {
+                subsection.subtitle = schema.description;
+            }
+            scope.section.subsections.push(subsection);
+            this.__convertObject(context, schema, id, ui, {
+                ...scope,
+                level: 2,
+                fields: subsection.fields
+            });
+        } else {
+            // Deeper objects are flattened into the subsection
+            this.__convertObject(context, schema, id, ui, { ...scope, level: scope.level + 1 });
+        }
+    },
+    /**
+     * Convert a primitive or array property into a field
+     * @param context
+     * @param id
+     * @param key
+     * @param schema
+     * @param ui
+     * @param required
+     * @returns {*}
+     * @private
+     */
+    __toField(context, id, key, schema, ui, required) {
+        const field = { id, title: ui['ui:title'] || __getTitle(schema, key) };
+        const options = this.__toOptions(schema);
+
+        switch (__getType(schema)) {
+            case 'string': {
+                if (schema.format === 'date' || schema.format === 'date-time') {
+                    field.type = DATA_TYPE.DATE;
+                    field.hideTime = schema.format === 'date';
+                } else {
+                    field.type = DATA_TYPE.STRING;
+                    if (__hasValue(schema.minLength)) field.minLength = schema.minLength;
+                    if (__hasValue(schema.maxLength)) field.maxLength = schema.maxLength;
+                }
+                break;
+            }
+            case 'integer':
+            case 'number': {
+                // Number fields don't support options, so enums are selected as strings
+                field.type = options ? DATA_TYPE.STRING : DATA_TYPE.NUMBER;
+                break;
+            }
+            case 'boolean': {
+                field.type = DATA_TYPE.BOOLEAN;
+                if (ui['ui:widget'] === 'radio') {
+                    field.options = [{ id: true, title: 'Yes' }, { id: false, title: 'No' }];
+                }
+                break;
+            }
+            case 'array': {
+                const items = __resolve(context.root, schema.items);
+                if (__getType(items) === 'object') {
+                    field.type = DATA_TYPE.GROUP;
+                    field.fields = this.__toGroupTemplate(context, items, ui.items);
+                } else {
+                    field.type = DATA_TYPE.ARRAY;
+                    field.options = this.__toOptions(items);
+                }
+                if (__hasValue(schema.minItems)) field.minItems = schema.minItems;
+                if (__hasValue(schema.maxItems)) field.maxItems = schema.maxItems;
+                break;
+            }
+            default: {
+                console.warn(`Unsupported JSON Schema type "${schema.type}" (id: ${id})`);
+                return;
+            }
+        }
+
+        if (options && field.type !== DATA_TYPE.ARRAY) field.options = options;
+        if (required) field.required = true;
+        if (schema.description) field.subtitle = schema.description;
+        if (__hasValue(schema.minimum)) field.min = schema.minimum;
+        if (__hasValue(schema.maximum)) field.max = schema.maximum;
+        if (schema.pattern) field.pattern = schema.pattern;
+        if (schema.readOnly) field.readOnly = true;
+        if (ui['ui:placeholder']) field.placeholder = ui['ui:placeholder'];
+
+        this.__addDecorators(context, key, id, ui);
+        return field;
+    },
+    /**
+     * Convert the item schema of an array of objects into the template fields
+     * of a repeatable group. Template ids are relative to the item, since
+     * the instance namespaces them by row.
+     * @private
+     */
+    __toGroupTemplate(context, items, uiSchema) {
+        const fields = [];
+        const groupContext = { ...context, fields: {} };
+        this.__convertObject(groupContext, items, '', uiSchema || {}, { level: 2, fields });
+        return fields;
+    },
+    /**
+     * Convert "enum" (with optional "enumNames"), or "oneOf"/"anyOf" constants, into options
+     * @param schema
+     * @returns {Array|undefined}
+     * @private
+     */
+    __toOptions(schema) {
+        if (_isArray(schema.enum)) {
+            return schema.enum.map((value, index) => ({
+                id: String(value),
+                title: String(_get(schema, ['enumNames', index], value))
+            }));
+        }
+        const choices = schema.oneOf || schema.anyOf;
+        if (_isArray(choices) && choices.every(choice => __hasValue(choice.const))) {
+            return choices.map(choice => ({
+                id: String(choice.const),
+                title: choice.title || String(choice.const)
+            }));
+        }
+    },
+    /**
+     * Add UI decorators from the uiSchema
+     * @private
+     */
+    __addDecorators(context, key, id, ui) {
+        const decorators = {};
+        if (ui['ui:widget']) {
+            decorators.component = { type: WIDGETS[ui['ui:widget']] || ui['ui:widget'] };
+        }
+        if (ui['ui:help']) {
+            decorators.hint = ui['ui:help'];
+        }
+        if (!_isEmpty(decorators)) {
+            context.decorators[id] = decorators;
+        }
+    },
+    /**
+     * Convert an "if/then/else" conditional into show conditions. Properties of
+     * the "then" branch are shown when the "if" schema is satisfied, and those
+     * of the "else" branch when it isn't. Properties that only appear within a
+     * branch are added as fields; "required" within a branch applies while the
+     * branch's fields are shown, and becomes a requiredCondition of other fields.
+     * @private
+     */
+    __convertConditional(context, conditional, path, uiSchema, scope) {
+        const condition = this.__toCondition(context, __resolve(context.root, conditional.if), path);
+        if (!condition) return;
+        this.__applyBranch(context, conditional.then, condition, path, uiSchema, scope);
+        this.__applyBranch(context, conditional.else, { type: 'NOT', condition }, path, uiSchema, scope);
+    },
+    __applyBranch(context, branch, condition, path, uiSchema, scope) {
+        if (!branch) return;
+        const schema = __resolve(context.root, branch);
+        const ids = [];
+
+        _forEach(schema.properties, (property, key) => {
+            const id = __getId(path, key);
+            if (context.fields[id]) {
+                ids.push(id);
+                return;
+            }
+            // Add properties that only appear within the branch as fields of the scope
+            const before = Object.keys(context.fields);
+            this.__convertProperty(context, schema, key, property, path, uiSchema, {
+                ...scope,
+                level: Math.max(scope.level, 2)
+            });
+            ids.push(...Object.keys(context.fields).filter(each => !_includes(before, each)));
+        });
+        _forEach(schema.required, key => {
+            const id = __getId(path, key);
+            const field = context.fields[id];
+            if (!field || field.required) return;
+            if (_includes(ids, id)) {
+                // Required while shown
+                field.required = true;
+            } else {
+                field.requiredCondition = field.requiredCondition
+                    ? __combine([field.requiredCondition, condition], 'OR')
+                    : condition;
+            }
+        });
+
+        ids.forEach(id => {
+            const field = context.fields[id];
+            field.showCondition = field.showCondition
+                ? __combine([field.showCondition, condition])
+                : condition;
+        });
+    },
+    /**
+     * Convert an "if" schema into a condition. Constraints on multiple properties
+     * are combined with AND, as are "allOf" schemas; "anyOf" schemas are combined
+     * with OR, and "not" schemas are negated.
+     * @param context
+     * @param schema
+     * @param path
+     * @returns {*}
+     * @private
+     */
+    __toCondition(context, schema, path) {
+        const condition = this.__toSchemaCondition(context, schema, path);
+        if (!condition) {
+            console.warn('Unsupported JSON Schema "if"', schema);
+        }
+        return condition;
+    },
+    __toSchemaCondition(context, schema, path) {
+        const toCondition = each =>
+            this.__toSchemaCondition(context, __resolve(context.root, each), path);
+        const conditions = [];
+        _forEach(schema.properties, (property, key) => {
+            conditions.push(
+                this.__toPropertyCondition(
+                    context,
+                    __getId(path, key),
+                    __resolve(context.root, property)
+                )
+            );
+        });
+        _forEach(schema.required, key => {
+            if (!schema.properties || !schema.properties[key]) {
+                conditions.push({
+                    type: 'BLANK',
+                    expression: __formResponse(__getId(path, key)),
+                    not: true
+                });
+            }
+        });
+        _forEach(schema.allOf, each => {
+            conditions.push(toCondition(each));
+        });
+        if (schema.anyOf) {
+            conditions.push(__combine(schema.anyOf.map(toCondition), 'OR'));
+        }
+        if (schema.not) {
+            const negated = toCondition(schema.not);
+            conditions.push(negated && { type: 'NOT', condition: negated });
+        }
+        return __combine(conditions);
+    },
+    /**
+     * Convert the constraint on a single property of an "if" schema into a condition
+     * @private
+     */
+    __toPropertyCondition(context, id, schema) {
+        const response = __formResponse(id);
+        const constraints = [];
+        const toEqual = value => ({
+            type: 'EQUAL',
+            expression1: response,
+            expression2: __const(this.__toModelValue(context, id, value))
+        });
+
+        const toLength = (type, value) => ({
+            type,
+            expression1: { type: 'LENGTH', expression: response },
+            expression2: __const(value)
+        });
+
+        if (__hasValue(schema.const)) {
+            constraints.push(toEqual(schema.const));
+        }
+        if (_isArray(schema.enum)) {
+            constraints.push({
+                type: 'IN',
+                expression1: response,
+                expression2: __const(schema.enum.map(value => this.__toModelValue(context, id, value)))
+            });
+        }
+        if (__hasValue(schema.minimum)) {
+            constraints.push({
+                type: 'GREATER_THAN_OR_EQUAL_TO',
+                expression1: response,
+                expression2: __const(schema.minimum)
+            });
+        }
+        if (__hasValue(schema.exclusiveMinimum)) {
+            constraints.push({
+                type: 'GREATER_THAN',
+                expression1: response,
+                expression2: __const(schema.exclusiveMinimum)
+            });
+        }
+        if (__hasValue(schema.maximum)) {
+            constraints.push({
+                type: 'LESS_THAN_OR_EQUAL_TO',
+                expression1: response,
+                expression2: __const(schema.maximum)
+            });
+        }
+        if (__hasValue(schema.exclusiveMaximum)) {
+            constraints.push({
+                type: 'LESS_THAN',
+                expression1: response,
+                expression2: __const(schema.exclusiveMaximum)
+            });
+        }
+        if (schema.pattern) {
+            constraints.push({
+                type: 'MATCHES',
+                expression1: response,
+                expression2: __const(schema.pattern)
+            });
+        }
+        _forEach(['minLength', 'minItems'], key => {
+            if (__hasValue(schema[key])) {
+                constraints.push(toLength('GREATER_THAN_OR_EQUAL_TO', schema[key]));
+            }
+        });
+        _forEach(['maxLength', 'maxItems'], key => {
+            if (__hasValue(schema[key])) {
+                constraints.push(toLength('LESS_THAN_OR_EQUAL_TO', schema[key]));
+            }
+        });
+        if (schema.contains && __hasValue(schema.contains.const)) {
+            constraints.push({
+                type: 'CONTAINS',
+                expression1: __const(String(schema.contains.const)),
+                expression2: response
+            });
+        }
+        if (schema.not) {
+            const negated = this.__toPropertyCondition(context, id, __resolve(context.root, schema.not));
+            constraints.push(negated && { type: 'NOT', condition: negated });
+        }
+
+        return __combine(constraints);
+    },
+    /**
+     * Convert a constant into the value stored in the model (e.g. option ids are strings)
+     * @private
+     */
+    __toModelValue(context, id, value) {
+        const field = context.fields[id];
+        return field && field[FIELD.OPTIONS] && field[FIELD.TYPE] !== DATA_TYPE.BOOLEAN
+            ? String(value)
+            : value;
+    },
+    /**
+     * Describe the serialized model of an instance (see serializeModel()) as JSON Schema
+     * @param instance
+     * @returns {{}}
+     */
+    toJsonSchema(instance) {
+        const fields = [];
+        instance.getSubsections().forEachValue(subsection => {
+            fields.push(...(subsection.fields || []));
+        });
+        return {
+            $schema: DRAFT_07,
+            $id: instance.getId(),
+            title: instance.getFormTitle(),
+            type: 'object',
+            properties: {
+                version: { const: SERIALIZATION_VERSION },
+                model: this.__toObjectSchema(fields)
+            },
+            required: ['version', 'model']
+        };
+    },
+    /**
+     * Build the schema of an object containing the values of the given fields, and
+     * their descendants. Fields that are only shown conditionally (via showCondition,
+     * or as the children of another field or option) are required only while shown,
+     * and fields with a requiredCondition only while the condition is met.
+     * @param fields
+     * @returns {{type: string, properties: {}}}
+     * @private
+     */
+    __toObjectSchema(fields) {
+        const schema = { type: 'object', properties: {} };
+        const required = [];
+        const allOf = [];
+
+        this.__collectFields(fields, [], []).forEach(({ field, conditions }) => {
+            if (field[FIELD.SERIALIZE] === false) return;
+            const id = field[FIELD.ID];
+            schema.properties[id] = this.__toPropertySchema(field);
+
+            if (!field[FIELD.REQUIRED] && !field[FIELD.REQUIRED_CONDITION]) return;
+            const requiredWhen = field[FIELD.REQUIRED]
+                ? conditions
+                : [...conditions, this.__toConditionSchema(field[FIELD.REQUIRED_CONDITION])];
+            if (_isEmpty(requiredWhen)) {
+                required.push(id);
+            } else if (requiredWhen.every(condition => condition)) {
+                allOf.push({
+                    if: requiredWhen.length === 1 ? requiredWhen[0] : { allOf: requiredWhen },
+                    then: { required: [id] }
+                });
+            } else {
+                console.warn(
+                    `Unable to describe when the field is required; omitting requirement (id: ${id})`
+                );
+            }
+        });
+
+        if (!_isEmpty(required)) schema.required = required;
+        if (!_isEmpty(allOf)) schema.allOf = allOf;
+        return schema;
+    },
+    /**
+     * Flatten a tree of fields, along with the schemas that must be satisfied for
+     * each field to be shown. Schemas that cannot be described are null.
+     * @param fields
+     * @param conditions Inherited from ancestors
+     * @param list
+     * @returns {Array} [{ field, conditions }]
+     * @private
+     */
+    __collectFields(fields, conditions, list) {
+        _forEach(fields, field => {
+            const id = field[FIELD.ID];
+            const shown = field[FIELD.SHOW_CONDITION]
+                ? [...conditions, this.__toConditionSchema(field[FIELD.SHOW_CONDITION])]
+                : conditions;
+            list.push({ field, conditions: shown });
+
+            // The template of a repeatable group is described by the group's items
+            if (field[FIELD.TYPE] === DATA_TYPE.GROUP) return;
+
+            // Children are shown while the field has a value
+            const hasValue =
+                field[FIELD.TYPE] === DATA_TYPE.BOOLEAN
+                    ? __propertySchema(id, { const: true })
+                    : __propertySchema(id, {});
+            this.__collectFields(field[FIELD.FIELDS], [...shown, hasValue], list);
+
+            // Option children are shown while the option is selected
+            _forEach(field[FIELD.OPTIONS], (option, index) => {
+                this.__collectFields(
+                    option[FIELD.FIELDS],
+                    [...shown, this.__toOptionSchema(field, option, index)],
+                    list
+                );
+            });
+        });
+        return list;
+    },
+    /**
+     * Schema that is satisfied when the option is selected
+     * @private
+     */
+    __toOptionSchema(field, option, index) {
+        switch (field[FIELD.TYPE]) {
+            case DATA_TYPE.BOOLEAN:
+                return __propertySchema(field[FIELD.ID], { const: index === 0 }); // The first option is affirmative
+            case DATA_TYPE.ARRAY:
+                return __propertySchema(field[FIELD.ID], { contains: { const: option.id } });
+            default:
+                return __propertySchema(field[FIELD.ID], { const: option.id });
+        }
+    },
+    /**
+     * Describe the serialized value of a field
+     * @param field
+     * @returns {{}}
+     * @private
+     */
+    __toPropertySchema(field) {
+        const schema = {};
+        const optionIds = _map(field[FIELD.OPTIONS], option => option.id);
+
+        switch (field[FIELD.TYPE]) {
+            case DATA_TYPE.STRING: {
+                schema.type = 'string';
+                if (!_isEmpty(optionIds)) schema.enum = optionIds;
+                if (field[FIELD.PATTERN]) {
+                    schema.pattern = field[FIELD.PATTERN].source || field[FIELD.PATTERN];
+                }
+                if (__hasValue(field[FIELD.MIN_LENGTH])) schema.minLength = field[FIELD.MIN_LENGTH];
+                if (__hasValue(field[FIELD.MAX_LENGTH])) schema.maxLength = field[FIELD.MAX_LENGTH];
+                break;
+            }
+            case DATA_TYPE.NUMBER: {
+                schema.type = ['number', 'null']; // NaN is serialized as null
+                if (__hasValue(field[FIELD.MIN])) schema.minimum = field[FIELD.MIN];
+                if (__hasValue(field[FIELD.MAX])) schema.maximum = field[FIELD.MAX];
+                break;
+            }
+            case DATA_TYPE.BOOLEAN: {
+                schema.type = 'boolean';
+                break;
+            }
+            case DATA_TYPE.DATE: {
+                schema.type = 'string';
+                schema.format = 'date-time';
+                break;
+            }
+            case DATA_TYPE.ARRAY: {
+                schema.type = 'array';
+                schema.items = _isEmpty(optionIds) ? {} : { type: 'string', enum: optionIds };
+                schema.uniqueItems = true;
+                if (__hasValue(field[FIELD.MIN_ITEMS])) schema.minItems = field[FIELD.MIN_ITEMS];
+                if (__hasValue(field[FIELD.MAX_ITEMS])) schema.maxItems = field[FIELD.MAX_ITEMS];
+                break;
+            }
+            case DATA_TYPE.GROUP: {
+                schema.type = 'array';
+                schema.items = this.__toObjectSchema(field[FIELD.TEMPLATE] || field[FIELD.FIELDS]);
+                if (__hasValue(field[FIELD.MIN_ITEMS])) schema.minItems = field[FIELD.MIN_ITEMS];
+                if (__hasValue(field[FIELD.MAX_ITEMS])) schema.maxItems = field[FIELD.MAX_ITEMS];
+                break;
+            }
+            default: {
+                console.warn(`Unmapped data type "${field[FIELD.TYPE]}" (id: ${field[FIELD.ID]})`);
+            }
+        }
+
+        if (field[FIELD.TITLE]) schema.title = field[FIELD.TITLE];
+        if (field[FIELD.SUBTITLE]) schema.description = field[FIELD.SUBTITLE];
+        if (field[FIELD.READ_ONLY]) schema.readOnly = true;
+        return schema;
+    },
+    /**
+     * Convert a condition into a schema that is satisfied when the condition is met.
+     * Only comparisons between a form response and a constant (optionally combined
+     * with AND, OR and NOT) can be described.
+     * @param condition
+     * @returns {*} Schema, or null if the condition cannot be described
+     * @private
+     */
+    __toConditionSchema(condition) {
+        const schema = this.__toComparisonSchema(condition);
+        if (!schema) return null;
+        return condition.not ? { not: schema } : schema;
+    },
+    __toComparisonSchema(condition) {
+        const { type, expression, expression1, expression2, orEqualTo } = condition;
+
+        if (type === 'AND' || type === 'OR') {
+            const schemas = _map(condition.conditions, each => this.__toConditionSchema(each));
+            if (_isEmpty(schemas) || !schemas.every(schema => schema)) return null;
+            return { [type === 'AND' ? 'allOf' : 'anyOf']: schemas };
+        }
+        if (type === 'NOT') {
+            const schema = this.__toConditionSchema(condition.condition);
+            return schema && { not: schema };
+        }
+
+        if (type === 'BLANK' || type === 'EMPTY') {
+            return __isFormResponse(expression) ? { not: { required: [expression.id] } } : null;
+        }
+
+        // Normalize to a form response compared against a constant
+        let response = expression1;
+        let constant = expression2;
+        let comparison = type;
+        if (__isConst(expression1) && __isFormResponse(expression2)) {
+            response = expression2;
+            constant = expression1;
+            comparison = REVERSED_COMPARISONS[type] || type;
+        }
+        if (!__isFormResponse(response) || !__isConst(constant)) return null;
+
+        const { id } = response;
+        const { value } = constant;
+        switch (comparison) {
+            case 'EQUAL':
+                return __propertySchema(id, { const: value });
+            case 'GREATER_THAN':
+                return __propertySchema(id, { [orEqualTo ? 'minimum' : 'exclusiveMinimum']: value });
+            case 'GREATER_THAN_OR_EQUAL_TO':
+                return __propertySchema(id, { minimum: value });
+            case 'LESS_THAN':
+                return __propertySchema(id, { [orEqualTo ? 'maximum' : 'exclusiveMaximum']: value });
+            case 'LESS_THAN_OR_EQUAL_TO':
+                return __propertySchema(id, { maximum: value });
+            case 'BETWEEN':
+                return _isArray(value) && value.length === 2
+                    ? __propertySchema(id, { minimum: value[0], maximum: value[1] })
+                    : null;
+            case 'CONTAINS':
+            case 'IN':
+                return __propertySchema(id, { enum: _isArray(value) ? value : [value] });
+            case 'MATCHES':
+                return _isString(value) && !condition.flags
+                    ? __propertySchema(id, { pattern: value })
+                    : null;
+            case 'STARTS_WITH':
+                return __propertySchema(id, { pattern: `^${_escapeRegExp(value)}` });
+            case 'ENDS_WITH':
+                return __propertySchema(id, { pattern: `${_escapeRegExp(value)}$` });
+            case 'INCLUDES':
+                return __propertySchema(id, { contains: { const: value } });
+            default:
+                return null;
+        }
+    }
+};
+
+export default JsonSchemaService;
@@ -0,0 +1,544 @@
+import _isArray from 'lodash/isArray';
+import _isString from 'lodash/isString';
+import _isNumber from 'lodash/isNumber';
+import _isBoolean from 'lodash/isBoolean';
+import _isEmpty from 'lodash/isEmpty';
+import _isPlainObject from 'lodash/isPlainObject';
+import _includes from 'lodash/includes';
+import _keys from 'lodash/keys';
+import _forEach from 'lodash/forEach';
+import _find from 'lodash/find';
+import _get from 'lodash/get';
+import _has from 'lodash/has';
+import _values from 'lodash/values';
+import moment from 'moment';
+
+import FormApiService from './form-api-service';
+import ExpressionService from './expression-service';
+import ConditionParserService from './condition-parser-service';
+import FormConfig from '../config/form-config';
+import DependencyGraph from '../dependency/dependency-graph';
+import { PROPERTY, DATA_TYPE, COMPONENT_TYPE, VALIDATION_CONST } from '../config/form-const';
+const { FIELD, SECTION, SUBSECTION, DEFINITION, RULE } = PROPERTY;
+
+// Properties allowed on the definition, sections and subsections (see FormApiService)
+const DEFINITION_PROPERTIES = [
+    DEFINITION.ID,
+    DEFINITION.TITLE,
+    DEFINITION.FA_ICON,
+    DEFINITION.SUBTITLE,
+    DEFINITION.SECTIONS,
+    DEFINITION.DECORATORS,
+    DEFINITION.RULES
+];
+const SECTION_PROPERTIES = [
+    SECTION.ID,
+    SECTION.TITLE,
+    SECTION.SUBTITLE,
+    SECTION.SORT_ORDER,
+    SECTION.SUBSECTIONS
+];
+const SUBSECTION_PROPERTIES = [
+    SUBSECTION.ID,
+    SUBSECTION.TITLE,
+    SUBSECTION.SUBTITLE,
+    SUBSECTION.SORT_ORDER,
+    SUBSECTION.FIELDS
+];
+const RULE_PROPERTIES = [RULE.ID, RULE.CONDITION, RULE.MESSAGE, RULE.STATUS, RULE.ACTIONS, RULE.FIELDS];
+
+const CONDITIONS = [
+    FIELD.SHOW_CONDITION,
+    FIELD.REQUIRED_CONDITION,
+    FIELD.READ_ONLY_CONDITION,
+    FIELD.DISABLED_CONDITION
+];
+
+// Absolute dates (ISO 8601), or date expressions
+const DATE_BOUNDS = [FIELD.MIN_DATE, FIELD.MAX_DATE];
+
+// Only these controls render the child fields of options
+const OPTION_FIELD_COMPONENTS = [COMPONENT_TYPE.RADIO, COMPONENT_TYPE.CHECKBOXGROUP];
+
+// Conditions whose expressions must be of comparable types
+const TYPED_CONDITIONS = [
+    'EQUAL',
+    'GREATER_THAN',
+    'GREATER_THAN_OR_EQUAL_TO',
+    'LESS_THAN',
+    'LESS_THAN_OR_EQUAL_TO',
+    'BETWEEN',
+    'IN',
+    'DATE_BEFORE',
+    'DATE_AFTER'
+];
+
+// Data types whose responses can be compared
+const SCALAR_TYPES = [DATA_TYPE.STRING, DATA_TYPE.NUMBER, DATA_TYPE.BOOLEAN, DATA_TYPE.DATE];
+
+// Data types of the values of expressions
+const EXPRESSION_TYPES = {
+    ADD: DATA_TYPE.NUMBER,
+    SUBTRACT: DATA_TYPE.NUMBER,
+    MULTIPLY: DATA_TYPE.NUMBER,
+    DIVIDE: DATA_TYPE.NUMBER,
+    ROUND: DATA_TYPE.NUMBER,
+    MIN: DATA_TYPE.NUMBER,
+    MAX: DATA_TYPE.NUMBER,
+    LENGTH: DATA_TYPE.NUMBER,
+    COUNT: DATA_TYPE.NUMBER,
+    DATE_DIFF: DATA_TYPE.NUMBER,
+    AGE: DATA_TYPE.NUMBER,
+    CONCAT: DATA_TYPE.STRING,
+    NOW: DATA_TYPE.DATE,
+    TODAY: DATA_TYPE.DATE,
+    DATE_ADD: DATA_TYPE.DATE
+};
+
+/**
+ * Append a property to a path into the definition
+ * @param path
+ * @param key
+ * @returns {string}
+ */
+function __path(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Reduce an api-check error to its first line, without the api-check boilerplate
+ * @param error
+ * @returns {string}
+ */
+function __summarizeShapeError(error) {
+    return error.message
+        .split('\n')[0]
+        .replace(/^.*apiCheck failed! /, '')
+        .replace(/ (in|at) `Argument 1\/value`/g, '')
+        .trim();
+}
+
+/**
+ * Get the type of a constant, along with its value
+ * @param value
+ * @returns {{type: string, value: *}|null} Null if the type is unknown
+ */
+function __constantType(value) {
+    if (_isString(value)) return { type: DATA_TYPE.STRING, value };
+    if (_isNumber(value)) return { type: DATA_TYPE.NUMBER, value };
+    if (_isBoolean(value)) return { type: DATA_TYPE.BOOLEAN, value };
+    return null;
+}
+
+/**
+ * Determine whether values of two types can be compared. Constant strings can be
+ * compared to numbers and dates they represent, and strings of other expressions
+ * (e.g. responses) to any type but booleans.
+ * @param type1
+ * @param type2
+ * @returns {boolean}
+ */
+function __isComparable(type1, type2) {
+    if (!type1 || !type2 || type1.type === type2.type) return true;
+    const text = _find([type1, type2], each => each.type === DATA_TYPE.STRING && 'value' in each);
+    if (text) {
+        const other = text === type1 ? type2 : type1;
+        if (other.type === DATA_TYPE.NUMBER) return !Number.isNaN(parseFloat(text.value));
+        if (other.type === DATA_TYPE.DATE) return moment(text.value, moment.ISO_8601).isValid();
+        return false;
+    }
+    return (
+        _includes([type1.type, type2.type], DATA_TYPE.STRING) &&
+        !_includes([type1.type, type2.type], DATA_TYPE.BOOLEAN)
+    );
+}
+
+/**
+ * Get the reason a regular expression pattern doesn't compile
+ * @param pattern
+ * @returns {string|null} Null if the pattern is valid
+ */
+function __patternError(pattern) {
+    try {
+        RegExp(pattern);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Collects the problems of a definition. Fields are collected first, so that
+ * references can be checked against every field of the definition.
+ */
+class Linter {
+    constructor(definition) {
+        this.definition = definition;
+        this.problems = []; // [{ path, message }]
+        this.fields = []; // [{ field, path, scope }]
+        this.scopes = []; // Field ids are unique within the form, and within each group template
+    }
+    lint() {
+        const definition = this.definition;
+        if (!_isPlainObject(definition)) {
+            this.report('', 'Expected the definition to be an object');
+            return this.problems;
+        }
+        this.checkProperties(definition, '', DEFINITION_PROPERTIES);
+
+        // Sections, subsections and fields share the ids of the form scope
+        const scope = this.createScope(null);
+        this.forEachItem(definition, DEFINITION.SECTIONS, '', (section, sectionPath) => {
+            this.checkProperties(section, sectionPath, SECTION_PROPERTIES);
+            this.checkDuplicate(scope.ids, section[SECTION.ID], sectionPath);
+            this.forEachItem(section, SECTION.SUBSECTIONS, sectionPath, (subsection, subsectionPath) => {
+                this.checkProperties(subsection, subsectionPath, SUBSECTION_PROPERTIES);
+                this.checkDuplicate(scope.ids, subsection[SUBSECTION.ID], subsectionPath);
+                this.visitFields(subsection, subsectionPath, scope);
+            });
+        });
+
+        if (definition[DEFINITION.RULES] !== undefined) {
+            this.forEachItem(definition, DEFINITION.RULES, '', (rule, rulePath) => {
+                this.visitRule(rule, rulePath, scope);
+            });
+        }
+
+        this.fields.forEach(entry => this.checkReferences(entry));
+        this.scopes.forEach(each => this.checkCycles(each));
+        return this.problems;
+    }
+    report(path, message) {
+        this.problems.push({ path, message });
+    }
+    createScope(parent) {
+        const scope = { parent, fields: {}, ids: {} }; // ids maps every id of the scope to its path
+        this.scopes.push(scope);
+        return scope;
+    }
+    /**
+     * Find a field by id within the scope, or its parent scopes
+     * @param id
+     * @param scope
+     * @returns {Object|undefined} { field, path }
+     */
+    resolve(id, scope) {
+        for (let each = scope; each; each = each.parent) {
+            if (_has(each.fields, [id])) return each.fields[id];
+        }
+    }
+    forEachItem(object, key, path, callback) {
+        const itemsPath = __path(path, key);
+        if (!_isArray(object[key])) {
+            this.report(itemsPath, `Expected an array of ${key}`);
+            return;
+        }
+        object[key].forEach((item, index) => {
+            const itemPath = `${itemsPath}[${index}]`;
+            if (_isPlainObject(item)) {
+                callback(item, itemPath);
+            } else {
+                this.report(itemPath, 'Expected an object');
+            }
+        });
+    }
+    checkProperties(object, path, properties) {
+        [DEFINITION.ID, DEFINITION.TITLE].forEach(key => {
+            if (!_isString(object[key])) {
+                this.report(__path(path, key), `Expected a string ${key}`);
+            }
+        });
+        _keys(object).forEach(key => {
+            if (!_includes(properties, key)) {
+                this.report(__path(path, key), `Unknown property "${key}"`);
+            }
+        });
+    }
+    checkDuplicate(ids, id, path) {
+        if (!_isString(id) && !_isNumber(id)) return;
+        if (_has(ids, [id])) {
+            this.report(__path(path, 'id'), `Duplicate id "${id}" (also at ${ids[id]})`);
+        } else {
+            ids[id] = path;
+        }
+    }
+    visitFields(parent, path, scope) {
+        this.forEachItem(parent, FIELD.FIELDS, path, (field, fieldPath) => {
+            this.visitField(field, fieldPath, scope);
+        });
+    }
+    visitField(field, path, scope) {
+        try {
+            FormApiService.__validateFieldShape(field);
+        } catch (error) {
+            this.report(path, __summarizeShapeError(error));
+        }
+
+        const id = field[FIELD.ID];
+        this.checkDuplicate(scope.ids, id, path);
+        if ((_isString(id) || _isNumber(id)) && !_has(scope.fields, [id])) {
+            scope.fields[id] = { field, path };
+        }
+        this.fields.push({ field, path, scope });
+
+        const componentType = this.checkComponentType(field, path);
+
+        if (field[FIELD.OPTIONS] !== undefined) {
+            const optionIds = {};
+            this.forEachItem(field, FIELD.OPTIONS, path, (option, optionPath) => {
+                this.checkDuplicate(optionIds, option[FIELD.ID], optionPath);
+                if (option[FIELD.FIELDS] === undefined) return;
+                if (componentType && !_includes(OPTION_FIELD_COMPONENTS, componentType)) {
+                    this.report(
+                        __path(optionPath, FIELD.FIELDS),
+                        `Unreachable fields: "${componentType}" controls don't render the fields of options`
+                    );
+                }
+                this.visitFields(option, optionPath, scope);
+            });
+        }
+
+        if (field[FIELD.TYPE] === DATA_TYPE.ARRAY && _isEmpty(field[FIELD.OPTIONS])) {
+            this.report(__path(path, FIELD.OPTIONS), 'Expected array fields to have options');
+        }
+
+        if (
+            componentType === COMPONENT_TYPE.RANGE &&
+            (!_isNumber(field[FIELD.MIN]) || !_isNumber(field[FIELD.MAX]))
+        ) {
+            this.report(path, 'Expected range fields to have a min and max');
+        }
+
+        const patternError = _isString(field[FIELD.PATTERN]) && __patternError(field[FIELD.PATTERN]);
+        if (patternError) {
+            this.report(__path(path, FIELD.PATTERN), `Invalid pattern: ${patternError}`);
+        }
+
+        DATE_BOUNDS.forEach(prop => {
+            if (_isString(field[prop]) && !moment(field[prop], moment.ISO_8601).isValid()) {
+                this.report(__path(path, prop), `Invalid date "${field[prop]}"`);
+            }
+        });
+
+        if (field[FIELD.FIELDS] !== undefined) {
+            // The fields of a repeatable group are a template, instantiated once per row
+            const isGroup = field[FIELD.TYPE] === DATA_TYPE.GROUP;
+            this.visitFields(field, path, isGroup ? this.createScope(scope) : scope);
+        }
+    }
+    /**
+     * Check the data type of the field, and the component type of its decorator (if any)
+     * @param field
+     * @param path
+     * @returns {string|undefined} The field's component type
+     */
+    checkComponentType(field, path) {
+        const type = field[FIELD.TYPE];
+        if (!_isString(type)) return;
+        if (!FormConfig.hasDataType(type)) {
+            this.report(__path(path, FIELD.TYPE), `Unknown type "${type}"`);
+            return;
+        }
+        const componentType = _get(this.definition, [
+            DEFINITION.DECORATORS,
+            field[FIELD.ID],
+            FIELD.COMPONENT,
+            'type'
+        ]);
+        if (!componentType) {
+            return FormConfig.getDefaultComponentTypeByDataType(field);
+        }
+        if (!FormConfig.hasComponentType(type, componentType)) {
+            this.report(
+                `${DEFINITION.DECORATORS}.${field[FIELD.ID]}.${FIELD.COMPONENT}.type`,
+                `Unknown component type "${componentType}" for ${type} fields`
+            );
+        }
+        return componentType;
+    }
+    /**
+     * Check the conditions and calculation of a field for syntax errors,
+     * references to unknown fields, and comparisons of incompatible types.
+     * Date expressions of minDate and maxDate are checked for unknown fields.
+     * @param entry
+     */
+    checkReferences(entry) {
+        const { field, path, scope } = entry;
+        entry.dependencies = [];
+        CONDITIONS.concat(FIELD.CALCULATION).forEach(prop => {
+            const node = this.parse(field[prop], __path(path, prop));
+            if (!node) return;
+            ExpressionService.getFormResponseIds(node).forEach(id => {
+                if (!this.resolve(id, scope)) {
+                    this.report(__path(path, prop), `Unknown field "${id}"`);
+                } else if (prop === FIELD.SHOW_CONDITION || prop === FIELD.CALCULATION) {
+                    entry.dependencies.push(id);
+                }
+            });
+            if (prop !== FIELD.CALCULATION) {
+                this.checkTypes(node, __path(path, prop), scope);
+            }
+        });
+        DATE_BOUNDS.forEach(prop => {
+            if (!_isPlainObject(field[prop])) return;
+            ExpressionService.getFormResponseIds(field[prop]).forEach(id => {
+                if (!this.resolve(id, scope)) {
+                    this.report(__path(path, prop), `Unknown field "${id}"`);
+                }
+            });
+        });
+    }
+    /**
+     * Check a cross-field validation rule of the definition. Rules tag (and
+     * reference) the fields of the form, rather than those of group templates.
+     * @param rule
+     * @param path
+     * @param scope
+     */
+    visitRule(rule, path, scope) {
+        _keys(rule).forEach(key => {
+            if (!_includes(RULE_PROPERTIES, key)) {
+                this.report(__path(path, key), `Unknown property "${key}"`);
+            }
+        });
+        if (!_isString(rule[RULE.MESSAGE])) {
+            this.report(__path(path, RULE.MESSAGE), `Expected a string ${RULE.MESSAGE}`);
+        }
+        if (
+            rule[RULE.STATUS] !== undefined &&
+            !_includes(_values(VALIDATION_CONST.STATUS), rule[RULE.STATUS])
+        ) {
+            this.report(__path(path, RULE.STATUS), `Unknown status "${rule[RULE.STATUS]}"`);
+        }
+        if (rule[RULE.ACTIONS] !== undefined && !_isArray(rule[RULE.ACTIONS])) {
+            this.report(__path(path, RULE.ACTIONS), `Expected an array of ${RULE.ACTIONS}`);
+        }
+
+        const fieldsPath = __path(path, RULE.FIELDS);
+        if (!_isArray(rule[RULE.FIELDS]) || _isEmpty(rule[RULE.FIELDS])) {
+            this.report(fieldsPath, 'Expected a non-empty array of field ids');
+        } else {
+            rule[RULE.FIELDS].forEach((id, index) => {
+                if (!_has(scope.fields, [id])) {
+                    this.report(`${fieldsPath}[${index}]`, `Unknown field "${id}"`);
+                }
+            });
+        }
+
+        const conditionPath = __path(path, RULE.CONDITION);
+        const condition = this.parse(rule[RULE.CONDITION], conditionPath);
+        if (!condition) {
+            if (condition === undefined) this.report(conditionPath, 'Expected a condition');
+            return;
+        }
+        ExpressionService.getFormResponseIds(condition).forEach(id => {
+            if (!_has(scope.fields, [id])) {
+                this.report(conditionPath, `Unknown field "${id}"`);
+            }
+        });
+        this.checkTypes(condition, conditionPath, scope);
+    }
+    /**
+     * Parse a condition or expression, which may be textual
+     * @param node
+     * @param path
+     * @returns {Object|null|undefined} The parsed node, null if it can't be parsed,
+     * or undefined if there is none
+     */
+    parse(node, path) {
+        if (_isPlainObject(node)) return node;
+        if (!_isString(node)) return undefined;
+        try {
+            return ConditionParserService.parse(node);
+        } catch (error) {
+            this.report(path, `Invalid condition: ${error.message}`);
+            return null;
+        }
+    }
+    checkTypes(condition, path, scope) {
+        if (!_isPlainObject(condition)) return;
+        _forEach(condition.conditions, each => this.checkTypes(each, path, scope));
+        this.checkTypes(condition.condition, path, scope);
+        if (!_includes(TYPED_CONDITIONS, condition.type)) return;
+
+        const type1 = this.getExpressionType(condition.expression1, scope);
+        const type2 = this.getExpressionType(condition.expression2, scope);
+        let pairs = [[type1, type2]];
+        if (condition.type === 'DATE_BEFORE' || condition.type === 'DATE_AFTER') {
+            pairs = [[type1, { type: DATA_TYPE.DATE }], [type2, { type: DATA_TYPE.DATE }]];
+        } else if (_isArray(_get(condition, 'expression2.value'))) {
+            // Each value of the list (e.g. "in" and "between") is compared to expression1
+            pairs = condition.expression2.value.map(value => [type1, __constantType(value)]);
+        }
+
+        const mismatch = _find(pairs, ([a, b]) => !__isComparable(a, b));
+        if (mismatch) {
+            let text = condition.type;
+            try {
+                text = ConditionParserService.stringify(condition);
+            } catch (error) {
+                // Conditions with values that can't be written as text (e.g. RegExps)
+            }
+            this.report(
+                path,
+                `Incompatible types in "${text}": ${mismatch[0].type} and ${mismatch[1].type}`
+            );
+        }
+    }
+    /**
+     * Get the data type of the value of an expression
+     * @param expression
+     * @param scope
+     * @returns {{type: string, value: *}|null} Null if the type is unknown; constants
+     * include their value
+     */
+    getExpressionType(expression, scope) {
+        if (!_isPlainObject(expression)) return null;
+        switch (expression.type) {
+            case 'FORM_RESPONSE': {
+                const resolved = this.resolve(expression.id, scope);
+                const type = resolved && resolved.field[FIELD.TYPE];
+                return _includes(SCALAR_TYPES, type) ? { type } : null;
+            }
+            case 'CONST':
+                return __constantType(expression.value);
+            default:
+                return EXPRESSION_TYPES[expression.type]
+                    ? { type: EXPRESSION_TYPES[expression.type] }
+                    : null;
+        }
+    }
+    /**
+     * Check the show conditions and calculations of the fields within a scope
+     * for circular dependencies
+     * @param scope
+     */
+    checkCycles(scope) {
+        const graph = new DependencyGraph();
+        this.fields.filter(entry => entry.scope === scope).forEach(({ field, dependencies }) => {
+            dependencies.forEach(id => {
+                if (_has(scope.fields, [id])) graph.add(field[FIELD.ID], id);
+            });
+        });
+        const cycle = graph.findCycle();
+        if (cycle) {
+            this.report(scope.fields[cycle[0]].path, `Circular dependency: ${cycle.join(' -> ')}`);
+        }
+    }
+}
+
+const LintService = {
+    /**
+     * Check a form definition for problems, such as invalid properties, duplicate ids,
+     * references to unknown fields and fields that can't be reached. Unlike the checks
+     * made when a FormEngine is created, every problem is reported.
+     * @param definition
+     * @returns {Array} [{ path, message }], where the path locates the problem within
+     * the definition (e.g. "sections[0].subsections[1].fields[2].showCondition")
+     */
+    lint(definition) {
+        return new Linter(definition).lint();
+    }
+};
+
+export default LintService;
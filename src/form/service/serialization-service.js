@@ -0,0 +1,178 @@
+import moment from 'moment';
+import _isArray from 'lodash/isArray';
+import _isPlainObject from 'lodash/isPlainObject';
+
+import { __hasValue } from '../../common';
+import { DATA_TYPE, PROPERTY, SERIALIZATION_VERSION } from '../config/form-const';
+
+const { FIELD } = PROPERTY;
+
+const DATE_FORMAT = 'YYYY-MM-DDTHH:mm:ss.SSSZ'; // ISO 8601 with milliseconds and UTC offset
+
+/**
+ * Encoders/decoders keyed by data type. Encoders convert runtime model
+ * values into JSON-safe values; decoders do the reverse.
+ */
+const codecs = {
+    [DATA_TYPE.DATE]: {
+        encode: value => moment(value).format(DATE_FORMAT),
+        decode: value => {
+            if (value === null) return;
+            if (moment.isMoment(value)) return value;
+            // Strings without a UTC offset (e.g. from older models) are parsed as local time
+            const date = value instanceof Date ? moment(value) : moment(value, moment.ISO_8601);
+            if (!date.isValid()) {
+                console.warn(`Unable to decode date value: ${value}`);
+                return;
+            }
+            return date;
+        }
+    },
+    [DATA_TYPE.NUMBER]: {
+        // JSON cannot represent NaN (e.g. a cleared number input), so store it as null
+        encode: value => (Number.isNaN(value) ? null : value),
+        decode: value => (value === null ? NaN : parseFloat(value))
+    },
+    [DATA_TYPE.ARRAY]: {
+        encode: value => [...value],
+        decode: value => {
+            if (value === null) return;
+            return _isArray(value) ? [...value] : [value];
+        }
+    }
+};
+
+const SerializationService = {
+    /**
+     * Serialize the instance model into a versioned envelope
+     * @param instance
+     * @returns {{version: number, model: {}}}
+     */
+    serialize(instance) {
+        const model = {};
+        instance.getModelValues().forEach(entry => {
+            const field = instance.getField(entry.key);
+            if (field && field[FIELD.SERIALIZE] === false) return;
+            if (field && field[FIELD.TEMPLATE_ID]) return; // Serialized with its repeatable group
+            model[entry.key] = this.__encodeEntry(instance, field, entry.value);
+        });
+        return { version: SERIALIZATION_VERSION, model };
+    },
+    /**
+     * Deserialize a versioned envelope into model values. Models
+     * serialized without an envelope are also accepted.
+     * @param instance
+     * @param serialized
+     * @returns {{}}
+     */
+    deserialize(instance, serialized) {
+        const model = this.__unwrap(serialized);
+        const values = {};
+        Object.keys(model).forEach(key => {
+            this.__decodeEntry(instance, instance.getField(key), key, model[key], values);
+        });
+        return values;
+    },
+    /**
+     * Encode a model value based on the field's data type
+     * @param field
+     * @param value
+     * @returns {*}
+     */
+    encodeValue(field, value) {
+        const codec = field && codecs[field[FIELD.TYPE]];
+        if (!codec || !__hasValue(value)) return value;
+        return codec.encode(value);
+    },
+    /**
+     * Decode a serialized value based on the field's data type
+     * @param field
+     * @param value
+     * @returns {*}
+     */
+    decodeValue(field, value) {
+        const codec = field && codecs[field[FIELD.TYPE]];
+        if (!codec || value === undefined) return value;
+        return codec.decode(value);
+    },
+    /**
+     * Encode a model value. Repeatable groups are encoded as an array
+     * of row objects, keyed by the template id of each row field.
+     * @param instance
+     * @param field
+     * @param value
+     * @returns {*}
+     * @private
+     */
+    __encodeEntry(instance, field, value) {
+        if (!instance.isGroupField(field) || !_isArray(value)) {
+            return this.encodeValue(field, value);
+        }
+        const templateFields = instance.getGroupTemplateFields(field);
+        return value.map(key => {
+            const row = {};
+            templateFields.forEach(template => {
+                const id = instance.getGroupRowFieldId(field[FIELD.ID], key, template[FIELD.ID]);
+                const rowField = instance.getField(id);
+                if (!instance.hasModelValue(id) || (rowField && rowField[FIELD.SERIALIZE] === false)) {
+                    return;
+                }
+                row[template[FIELD.ID]] = this.__encodeEntry(
+                    instance,
+                    rowField,
+                    instance.getModelValue(id)
+                );
+            });
+            return row;
+        });
+    },
+    /**
+     * Decode a serialized value into the values map. Repeatable group rows
+     * are assigned new row keys, and the values of their fields are decoded
+     * based on the group template. The group's value precedes the values of
+     * its rows, so that rows are instantiated before their values are hydrated.
+     * @param instance
+     * @param field
+     * @param id
+     * @param value
+     * @param values
+     * @private
+     */
+    __decodeEntry(instance, field, id, value, values) {
+        if (!instance.isGroupField(field)) {
+            const decoded = this.decodeValue(field, value);
+            if (decoded !== undefined) {
+                values[id] = decoded;
+            }
+            return;
+        }
+        if (!_isArray(value)) return;
+
+        const keys = value.map(() => instance.createGroupRowKey());
+        values[id] = keys;
+
+        const templateFields = instance.getGroupTemplateFields(field);
+        value.forEach((row, index) => {
+            if (!_isPlainObject(row)) return;
+            templateFields.forEach(template => {
+                const templateId = template[FIELD.ID];
+                if (Object.prototype.hasOwnProperty.call(row, templateId)) {
+                    const rowId = instance.getGroupRowFieldId(id, keys[index], templateId);
+                    this.__decodeEntry(instance, template, rowId, row[templateId], values);
+                }
+            });
+        });
+    },
+    __unwrap(serialized) {
+        if (!_isPlainObject(serialized)) return {};
+        if (typeof serialized.version !== 'number' || !_isPlainObject(serialized.model)) {
+            return serialized; // Legacy model without an envelope
+        }
+        if (serialized.version > SERIALIZATION_VERSION) {
+            console.warn(`Unsupported serialization version: ${serialized.version}`);
+        }
+        return serialized.model;
+    }
+};
+
+export default SerializationService;
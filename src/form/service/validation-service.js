@@ -26,6 +26,38 @@ const ValidationService = {
     },
     isError(status) {
         return status === VALIDATION_CONST.STATUS.ERROR;
+    },
+    isWarning(status) {
+        return status === VALIDATION_CONST.STATUS.WARNING;
+    },
+    isPending(status) {
+        return status === VALIDATION_CONST.STATUS.PENDING;
+    },
+    /**
+     * Normalize the value returned by a custom or asynchronous validator.
+     * Validators may return true/undefined (valid), false (invalid), a
+     * message string (invalid), or an object with a status and message, and
+     * optionally the actions it blocks.
+     * @param result
+     * @param defaultMessage
+     * @returns {{status: string, message: string, actions: Array}}
+     */
+    toValidationResult(result, defaultMessage) {
+        const { OK, ERROR } = VALIDATION_CONST.STATUS;
+        if (result === undefined || result === null || result === true) {
+            return { status: OK };
+        }
+        if (result === false) {
+            return { status: ERROR, message: defaultMessage };
+        }
+        if (typeof result === 'string') {
+            return { status: ERROR, message: result };
+        }
+        return {
+            status: result.status || ERROR,
+            message: result.message || defaultMessage,
+            actions: result.actions
+        };
     }
 };
 
@@ -1,38 +1,168 @@
-import { PROPERTY, DATA_TYPE } from '../config/form-const';
+import _every from 'lodash/every';
+import _some from 'lodash/some';
+import { PROPERTY, DATA_TYPE, VALIDATION_CONST } from '../config/form-const';
 import ValidationService from '../service/validation-service';
 import Validators from './form-validators';
-import { __hasValue } from '../../common';
+import ValidatorRegistry from './validator-registry';
+import { __hasValue, __isBlank } from '../../common';
 
-const { FIELD } = PROPERTY;
+const { FIELD, RULE } = PROPERTY;
+const { TYPE, STATUS, ACTION } = VALIDATION_CONST;
+
+// Actions blocked by each validation type. Missing values only block submission,
+// so that incomplete forms can be saved; invalid values block every action.
+const TYPE_ACTIONS = {
+    [TYPE.REQUIRED]: [ACTION.SUBMIT],
+    [TYPE.ITEM_COUNT]: [ACTION.SUBMIT]
+};
+const DEFAULT_ACTIONS = [ACTION.SAVE, ACTION.SUBMIT];
 
 function __isError(status) {
     return ValidationService.isError(status);
 }
 
+function __getActions(type) {
+    return TYPE_ACTIONS[type] || DEFAULT_ACTIONS;
+}
+
+/**
+ * Add an error of the given validation type to the validation results
+ * @param validationResults
+ * @param instance
+ * @param field
+ * @param type
+ */
+function __addError(validationResults, instance, field, type) {
+    validationResults.addValidationMessage(
+        field[FIELD.ID],
+        type,
+        STATUS.ERROR,
+        instance.getValidationMessage(field, type),
+        __getActions(type)
+    );
+}
+
+/**
+ * Add the result of a custom or asynchronous validator to the validation results.
+ * Validators block every action, unless they declare the actions they block.
+ * @param validationResults
+ * @param instance
+ * @param field
+ * @param result
+ */
+function __addValidatorResult(validationResults, instance, field, result) {
+    const id = field[FIELD.ID];
+    const actions = result.actions || __getActions(TYPE.INVALID_VALUE);
+    if (result.pending) {
+        validationResults.addPending(id, instance.getValidationMessage(field, TYPE.PENDING), actions);
+    } else if (result.status !== STATUS.OK) {
+        validationResults.addValidationMessage(
+            id,
+            TYPE.INVALID_VALUE,
+            result.status,
+            result.message,
+            actions
+        );
+    }
+}
+
+/**
+ * Run a registered validator referenced by a field definition. The status,
+ * message and actions of the reference override those of the validator.
+ * @param instance
+ * @param field
+ * @param value
+ * @param reference
+ * @returns {*}
+ */
+function __runRegisteredValidator(instance, field, value, reference) {
+    const { fn, message, actions } = ValidatorRegistry.get(reference.name);
+    const result = instance.runValidator(
+        field,
+        reference.name,
+        value,
+        () => fn(value, reference.params, field, instance),
+        message && instance.formatValidationMessage(field, message)
+    );
+    if (result.pending) {
+        return { pending: true, actions: reference.actions || actions };
+    }
+    if (result.status === STATUS.OK) {
+        return result;
+    }
+    return {
+        status: reference.status || result.status,
+        message: reference.message
+            ? instance.formatValidationMessage(field, reference.message)
+            : result.message,
+        actions: reference.actions || result.actions || actions
+    };
+}
+
+/**
+ * Check a cross-field validation rule, tagging each of its fields with the
+ * message if the condition isn't met. Like the checks of a single field, a rule
+ * is only checked once its fields have values, and any of them is dirty.
+ * @param validationResults
+ * @param instance
+ * @param rule
+ * @param all Check the rule even if none of its fields are dirty
+ */
+function __checkRule(validationResults, instance, rule, all) {
+    const fields = rule[RULE.FIELDS].map(id => instance.getField(id));
+    if (!all && !_some(fields, field => field.dirty)) return;
+    if (!_every(fields, field => __hasValue(instance.getModelValue(field[FIELD.ID])))) return;
+    if (instance.evaluateCondition(rule[RULE.CONDITION])) return;
+    fields.forEach(field => {
+        validationResults.addValidationMessage(
+            field[FIELD.ID],
+            TYPE.RULE_VIOLATION,
+            rule[RULE.STATUS] || STATUS.ERROR,
+            rule[RULE.MESSAGE],
+            rule[RULE.ACTIONS] || __getActions(TYPE.RULE_VIOLATION)
+        );
+    });
+}
+
 export default {
-    validate(instance, validationResults) {
+    /**
+     * Validate the dirty fields of the instance
+     * @param instance
+     * @param validationResults
+     * @param options {all: boolean} Validate every shown field, dirty or not (e.g. before an action)
+     */
+    validate(instance, validationResults, { all = false } = {}) {
         instance.getFields().forEachValue(field => {
             const id = field[FIELD.ID];
 
-            if (!field.dirty) {
-              return;
+            // Validate the dirty fields, or every shown field (e.g. before an action)
+            if (all ? !instance.isFieldShown(field) : !field.dirty) {
+                return;
             }
 
+            // Disabled fields (or the descendants of disabled fields) cannot be edited
+            if (instance.isFieldDisabled(field)) {
+                return;
+            }
 
             // Get model value
             const value = instance.getModelValue(id);
 
-            let isVisible = false;
-            if (field[FIELD.SHOW_CONDITION]) {
+            let isVisible = all;
+            if (field[FIELD.SHOW_CONDITION] && !all) {
                 isVisible = instance.evaluateFieldShowCondition(field);
             }
 
             if (__hasValue(value) || isVisible) {
                 // Check required status
-                if (field[FIELD.REQUIRED]) {
+                if (instance.isFieldRequired(field)) {
                     const requiredStatus = Validators.checkRequired(field, value);
                     if (__isError(requiredStatus)) {
-                        validationResults.addMissingRequired(id, 'Missing required value.', 'SUBMIT');
+                        validationResults.addMissingRequired(
+                            id,
+                            instance.getValidationMessage(field, TYPE.REQUIRED),
+                            __getActions(TYPE.REQUIRED)
+                        );
                     }
                 }
 
@@ -40,22 +170,86 @@ export default {
                 if (field[FIELD.TYPE] === DATA_TYPE.NUMBER) {
                     const numericStatus = Validators.checkNumeric(field, value);
                     if (__isError(numericStatus)) {
-                        validationResults.addInvalidValue(id, 'Invalid numeric value.', 'SUBMIT');
+                        const isUnderflow = __hasValue(field[FIELD.MIN]) && value < field[FIELD.MIN];
+                        __addError(
+                            validationResults,
+                            instance,
+                            field,
+                            isUnderflow ? TYPE.RANGE_UNDERFLOW : TYPE.RANGE_OVERFLOW
+                        );
                     }
                 }
 
-                // Check regex pattern
-                if (field[FIELD.PATTERN]) {
+                // Check the number of rows of repeatable groups, and of the values of arrays
+                if (field[FIELD.TYPE] === DATA_TYPE.GROUP || field[FIELD.TYPE] === DATA_TYPE.ARRAY) {
+                    const countStatus = Validators.checkItemCount(field, value);
+                    if (__isError(countStatus)) {
+                        __addError(validationResults, instance, field, TYPE.ITEM_COUNT);
+                    }
+                }
+
+                // Check string length
+                if (field[FIELD.TYPE] === DATA_TYPE.STRING && !__isBlank(value)) {
+                    const lengthStatus = Validators.checkLength(field, value);
+                    if (__isError(lengthStatus)) {
+                        const isShort =
+                            __hasValue(field[FIELD.MIN_LENGTH]) &&
+                            value.length < field[FIELD.MIN_LENGTH];
+                        __addError(
+                            validationResults,
+                            instance,
+                            field,
+                            isShort ? TYPE.TOO_SHORT : TYPE.TOO_LONG
+                        );
+                    }
+                }
+
+                // Check date range
+                if (field[FIELD.TYPE] === DATA_TYPE.DATE && __hasValue(value)) {
+                    const minDate = instance.getMinDate(field);
+                    const dateStatus = Validators.checkDateRange(
+                        value,
+                        minDate,
+                        instance.getMaxDate(field)
+                    );
+                    if (__isError(dateStatus)) {
+                        const isEarly = minDate && value.isBefore(minDate, 'day');
+                        __addError(
+                            validationResults,
+                            instance,
+                            field,
+                            isEarly ? TYPE.TOO_EARLY : TYPE.TOO_LATE
+                        );
+                    }
+                }
+
+                // Check regex pattern; blank values are missing, rather than malformed
+                if (field[FIELD.PATTERN] && !__isBlank(value)) {
                     const conditionMet = Validators.checkPattern(field, value);
                     if (!conditionMet) {
-                        validationResults.addInvalidValue(
-                            id,
-                            'Value doesn\'t match the supplied pattern.',
-                            'SUBMIT'
-                        );
+                        __addError(validationResults, instance, field, TYPE.PATTERN_MISMATCH);
+                    }
+                }
+
+                if (!__isBlank(value)) {
+                    // Check registered validators
+                    (field[FIELD.VALIDATORS] || []).forEach(reference => {
+                        if (ValidatorRegistry.supportsDataType(reference.name, field[FIELD.TYPE])) {
+                            const result = __runRegisteredValidator(instance, field, value, reference);
+                            __addValidatorResult(validationResults, instance, field, result);
+                        }
+                    });
+
+                    // Check asynchronous validator
+                    if (instance.hasAsyncValidator(field)) {
+                        const result = instance.validateFieldAsync(field, value);
+                        __addValidatorResult(validationResults, instance, field, result);
                     }
                 }
             }
         });
+
+        // Check cross-field validation rules
+        instance.getRules().forEach(rule => __checkRule(validationResults, instance, rule, all));
     }
 };
@@ -6,10 +6,18 @@ function _getStatus(errorCondition) {
     return errorCondition ? VALIDATION_CONST.STATUS.ERROR : VALIDATION_CONST.STATUS.OK;
 }
 
+function _checkItemCount(field, value) {
+    const count = value ? value.length : 0;
+    return _getStatus(
+        (__hasValue(field.minItems) && count < field.minItems) ||
+            (__hasValue(field.maxItems) && count > field.maxItems)
+    );
+}
+
 /**
  * Available VALIDATORS keyed by validation type. Each validation type
  * may contain one or more data types.
- * @type {{REQUIRED: {}, NUMERIC: {}}}
+ * @type {{REQUIRED: {}, NUMERIC: {}, ITEM_COUNT: {}, LENGTH: {}}}
  */
 const VALIDATORS = {
     REQUIRED: {
@@ -17,13 +25,25 @@ const VALIDATORS = {
         [DATA_TYPE.BOOLEAN]: () => VALIDATION_CONST.STATUS.OK,
         [DATA_TYPE.DATE]: (field, value) => _getStatus(__isBlank(value)),
         [DATA_TYPE.NUMBER]: (field, value) => _getStatus(Number.isNaN(value)),
-        [DATA_TYPE.STRING]: (field, value) => _getStatus(__isBlank(value))
+        [DATA_TYPE.STRING]: (field, value) => _getStatus(__isBlank(value)),
+        [DATA_TYPE.GROUP]: (field, value) => _getStatus(_isEmpty(value))
     },
     NUMERIC: {
         [DATA_TYPE.NUMBER]: (field, value) => {
             if (__hasValue(field.min) && value < field.min) return VALIDATION_CONST.STATUS.ERROR;
             if (__hasValue(field.max) && value > field.max) return VALIDATION_CONST.STATUS.ERROR;
         }
+    },
+    ITEM_COUNT: {
+        [DATA_TYPE.ARRAY]: _checkItemCount,
+        [DATA_TYPE.GROUP]: _checkItemCount
+    },
+    LENGTH: {
+        [DATA_TYPE.STRING]: (field, value) =>
+            _getStatus(
+                (__hasValue(field.minLength) && value.length < field.minLength) ||
+                    (__hasValue(field.maxLength) && value.length > field.maxLength)
+            )
     }
 };
 
@@ -59,6 +79,37 @@ export default {
     checkNumeric(field, value) {
         return this.validate(VALIDATORS.NUMERIC, field, value);
     },
+    /**
+     * Determine if the number of items passes the minItems/maxItems check
+     * @param field
+     * @param value
+     * @returns {*}
+     */
+    checkItemCount(field, value) {
+        return this.validate(VALIDATORS.ITEM_COUNT, field, value);
+    },
+    /**
+     * Determine if the length of the model value passes the minLength/maxLength check
+     * @param field
+     * @param value
+     * @returns {*}
+     */
+    checkLength(field, value) {
+        return this.validate(VALIDATORS.LENGTH, field, value);
+    },
+    /**
+     * Determine if the date passes the check of the earliest and latest allowed
+     * dates (if any), which are compared by day
+     * @param value
+     * @param minDate
+     * @param maxDate
+     * @returns {*}
+     */
+    checkDateRange(value, minDate, maxDate) {
+        return _getStatus(
+            (minDate && value.isBefore(minDate, 'day')) || (maxDate && value.isAfter(maxDate, 'day'))
+        );
+    },
     /**
      * Determine if the model value matches the regex pattern
      * @param field
@@ -0,0 +1,97 @@
+import _isFunction from 'lodash/isFunction';
+import { __hasValue } from '../../common';
+import { VALIDATION_CONST } from '../config/form-const';
+
+const { TYPE } = VALIDATION_CONST;
+
+/**
+ * Default (English) validation messages keyed by validation type
+ */
+const DEFAULT_MESSAGES = {
+    [TYPE.REQUIRED]: 'Missing required value.',
+    [TYPE.INVALID_VALUE]: 'Invalid value.',
+    [TYPE.PENDING]: 'Validating...',
+    [TYPE.PATTERN_MISMATCH]: "Value doesn't match the supplied pattern.",
+    [TYPE.RANGE_UNDERFLOW]: 'Invalid numeric value.',
+    [TYPE.RANGE_OVERFLOW]: 'Invalid numeric value.',
+    [TYPE.ITEM_COUNT]: ({ minItems, maxItems }) => {
+        if (__hasValue(minItems) && __hasValue(maxItems)) {
+            return 'Expected between {minItems} and {maxItems} items.';
+        }
+        return __hasValue(minItems)
+            ? 'Expected at least {minItems} items.'
+            : 'Expected at most {maxItems} items.';
+    },
+    [TYPE.TOO_SHORT]: 'Expected at least {minLength} characters.',
+    [TYPE.TOO_LONG]: 'Expected at most {maxLength} characters.',
+    [TYPE.TOO_EARLY]: 'Expected a date on or after {minDate}.',
+    [TYPE.TOO_LATE]: 'Expected a date on or before {maxDate}.'
+};
+
+// Keys of the "messages" of a field definition, which override the message of each type
+const FIELD_MESSAGE_KEYS = {
+    [TYPE.REQUIRED]: 'required',
+    [TYPE.INVALID_VALUE]: 'invalid',
+    [TYPE.PATTERN_MISMATCH]: 'pattern',
+    [TYPE.RANGE_UNDERFLOW]: 'min',
+    [TYPE.RANGE_OVERFLOW]: 'max',
+    [TYPE.ITEM_COUNT]: 'items',
+    [TYPE.TOO_SHORT]: 'minLength',
+    [TYPE.TOO_LONG]: 'maxLength',
+    [TYPE.TOO_EARLY]: 'minDate',
+    [TYPE.TOO_LATE]: 'maxDate'
+};
+
+/**
+ * Catalog of validation messages keyed by validation type (see VALIDATION_CONST.TYPE).
+ * Messages are templates, whose placeholders (e.g. "{title}" or "{min}") are replaced
+ * by the parameters of the validation, or functions of the parameters that return
+ * a template (e.g. to choose between plural forms). Registering messages, such as
+ * translations, replaces the messages of the same types.
+ */
+class MessageCatalog {
+    constructor() {
+        this.messages = { ...DEFAULT_MESSAGES };
+    }
+    /**
+     * Register messages
+     * @param messages Templates or functions keyed by validation type
+     */
+    register(messages) {
+        this.messages = { ...this.messages, ...messages };
+    }
+    /**
+     * Get the message of a validation type
+     * @param type
+     * @returns {string|Function}
+     */
+    get(type) {
+        return this.messages[type];
+    }
+    /**
+     * Get the key of the "messages" of a field definition that overrides the
+     * message of a validation type
+     * @param type
+     * @returns {string|undefined}
+     */
+    getFieldKey(type) {
+        return FIELD_MESSAGE_KEYS[type];
+    }
+    /**
+     * Format a message, replacing its placeholders with the given parameters.
+     * Placeholders without a parameter are left as is.
+     * @param message Template, or function of the parameters that returns a template
+     * @param params
+     * @returns {string}
+     */
+    format(message, params = {}) {
+        const template = _isFunction(message) ? message(params) : message;
+        if (!template) return template;
+        return String(template).replace(
+            /\{(\w+)\}/g,
+            (placeholder, key) => (__hasValue(params[key]) ? String(params[key]) : placeholder)
+        );
+    }
+}
+
+export default new MessageCatalog();
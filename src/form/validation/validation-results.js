@@ -1,4 +1,5 @@
 import _isArray from 'lodash/isArray';
+import _some from 'lodash/some';
 import ValidationService from '../service/validation-service';
 import { VALIDATION_CONST } from '../config/form-const';
 
@@ -94,11 +95,12 @@ class ValidationResults {
             const status = ValidationService.getMostSevereStatus(messages);
             this.validationStateMap[key] = status;
 
-            // Update overall status of more severe
+            // Update overall status if more severe
             if (ValidationService.isMoreSevereStatus(status, overallStatus)) {
-                this.overallStatus = status;
+                overallStatus = status;
             }
         });
+        this.overallStatus = overallStatus;
     }
 
     /**
@@ -133,6 +135,23 @@ class ValidationResults {
         );
     }
 
+    /**
+     * Convenience function for adding a "Pending" validation message, which
+     * indicates an asynchronous validator has yet to complete
+     * @param tag
+     * @param message
+     * @param actions
+     */
+    addPending(tag, message, actions) {
+        this.addValidationMessage(
+            tag,
+            VALIDATION_CONST.TYPE.PENDING,
+            VALIDATION_CONST.STATUS.PENDING,
+            message,
+            actions
+        );
+    }
+
     /**
      * Return the aggregated validation results status
      * @returns {boolean}
@@ -140,6 +159,37 @@ class ValidationResults {
     hasError() {
         return this.overallStatus === VALIDATION_CONST.STATUS.ERROR;
     }
+
+    /**
+     * Get the most severe status of the validation messages that block an action
+     * @param action See VALIDATION_CONST.ACTION
+     * @returns {string}
+     */
+    getActionStatus(action) {
+        return this.actionMap[action] || VALIDATION_CONST.STATUS.OK;
+    }
+
+    /**
+     * Determine whether an action (e.g. saving or submitting) can be performed,
+     * i.e. no errors, or pending validators, block it. Warnings don't block actions.
+     * @param action See VALIDATION_CONST.ACTION
+     * @returns {boolean}
+     */
+    canPerform(action) {
+        const status = this.getActionStatus(action);
+        return !ValidationService.isError(status) && !ValidationService.isPending(status);
+    }
+
+    /**
+     * Determine whether any validation message is a warning, which
+     * (unlike an error) does not block submission
+     * @returns {boolean}
+     */
+    hasWarning() {
+        return _some(this.validationMap, messages =>
+            messages.some(message => ValidationService.isWarning(message.status))
+        );
+    }
 }
 
 export default ValidationResults;
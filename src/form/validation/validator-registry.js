@@ -0,0 +1,65 @@
+import _includes from 'lodash/includes';
+
+/**
+ * Registry of custom validators keyed by name. Field definitions reference
+ * registered validators declaratively via their "validators" array, e.g.
+ *
+ *  validators: [{ name: 'luhn', message: 'Invalid card number.' }]
+ *
+ * Each validator is invoked with (value, params, field, instance) and returns
+ * true/undefined (valid), false or a message string (invalid), an object with
+ * a status and message, or a Promise that resolves to any of the above.
+ */
+class ValidatorRegistry {
+    constructor() {
+        this.validators = {};
+    }
+    /**
+     * Register a validator
+     * @param name
+     * @param fn
+     * @param options.dataTypes Data types the validator supports (defaults to all)
+     * @param options.message Default message if the value is invalid
+     * @param options.actions Actions blocked if the value is invalid (see VALIDATION_CONST.ACTION)
+     */
+    register(name, fn, options = {}) {
+        if (!name) throw new Error('name is required');
+        if (typeof fn !== 'function') throw new Error('validator must be a function');
+        this.validators[name] = {
+            name,
+            fn,
+            dataTypes: options.dataTypes,
+            message: options.message,
+            actions: options.actions
+        };
+    }
+    /**
+     * Get a registered validator by name
+     * @param name
+     * @returns {*}
+     */
+    get(name) {
+        return this.validators[name];
+    }
+    /**
+     * Determine if a validator is registered
+     * @param name
+     * @returns {boolean}
+     */
+    has(name) {
+        return !!this.validators[name];
+    }
+    /**
+     * Determine if a registered validator supports a given data type
+     * @param name
+     * @param dataType
+     * @returns {boolean}
+     */
+    supportsDataType(name, dataType) {
+        const validator = this.get(name);
+        if (!validator) return false;
+        return !validator.dataTypes || _includes(validator.dataTypes, dataType);
+    }
+}
+
+export default new ValidatorRegistry();
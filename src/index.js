@@ -1,3 +1,3 @@
 export {default as Form } from './components/form/Form';
 export { default as FormEngine }from './form/form-engine';
-
+export { VALIDATION_CONST } from './form/config/form-const';